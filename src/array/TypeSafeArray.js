@@ -1,4 +1,7 @@
-import {getArrayType, getType, isInitialized, isType, setDefaultCompare} from "../common/utils";
+import {
+    CHANGE, getArrayType, getType, isArrayOfType, isInitialized, isType, parseJSON, setDefaultCompare, typeFromJSON
+} from "../common/utils";
+import ChangeEmitter from "../common/ChangeEmitter";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
 import TypeSafeReadonlyArray from "./TypeSafeReadonlyArray";
 
@@ -9,12 +12,27 @@ import TypeSafeReadonlyArray from "./TypeSafeReadonlyArray";
 class TypeSafeArray extends TypeSafeReadonlyArray {
     /**
      * Sets array type and items.
-     * @param type {string} Type to use for this array.
+     * @param type {string|Function|TypeDescriptor} Type to use for this array.
      * @param items {T} Items to set to array.
      * @template T
      */
     constructor(type, ...items) {
         super(type, ...items);
+        /**
+         * Notifies about this array's changes, created once this array is observed.
+         * @type {ChangeEmitter|undefined}
+         * @private
+         */
+        this._changes = undefined;
+    }
+
+    /**
+     * Applies several changes, and notifies the subscribers once with all of their change records.
+     * @param callback {Function} Applies the changes, receives this TypeSafeArray.
+     * @return {*} The result of callback.
+     */
+    batch(callback) {
+        return this._changes ? this._changes.batch(() => callback(this)) : callback(this);
     }
 
     /**
@@ -27,11 +45,11 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
     concat(...items) {
         // Attempts to call parent method, and checks the result's type.
         const attempt = this._array.concat(...items);
-        const type = getArrayType(attempt);
-        if (isInitialized(type)) {
-            return new TypeSafeArray(type, ...attempt);
+        if (isArrayOfType(attempt, this.type)) {
+            return new TypeSafeArray(this.type, ...attempt);
         } else {
-            throw new ErrorTypeSafe("add", items, this.type);
+            // Reports the flattened items which were checked, so that the failing path indexes them.
+            throw new ErrorTypeSafe("add", attempt.slice(this._array.length), this.type);
         }
     }
 
@@ -47,8 +65,64 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
      * @return {TypeSafeArray} The modified TypeSafeArray.
      */
     copyWithin(target, start = undefined, end = undefined) {
-        this._array.copyWithin(target, start, end);
-        return this;
+        const record = () => {
+            const [to, from] = [this._relativeIndex(target, 0), this._relativeIndex(start, 0)];
+            const count = Math.min(this._relativeIndex(end, this.length) - from, this.length - to);
+            const values = this._array.slice(from, from + Math.max(count, 0));
+            return {type: CHANGE.SET, index: to, values, oldValues: this._array.slice(to, to + values.length)};
+        };
+        return this._change(record, () => {
+            this._array.copyWithin(target, start, end);
+            return this;
+        }, this);
+    }
+
+    /**
+     * Calls Array.prototype.fill method, with type safe validation. Changes all elements in a TypeSafeArray
+     * to a static value of type <T>, from a start index (default 0) to an end index (default array.length).
+     * @param value {T} Value to fill the array with.
+     * @param start {number} Start index, default 0.
+     * @param end {number} End index, default array.length.
+     * @return {TypeSafeArray<T>} The modified TypeSafeArray, filled with value.
+     * @throws {ErrorTypeSafe} if value is not of type <T>.
+     */
+    fill(value, start = undefined, end = undefined) {
+        if (isType(value, this.type)) {
+            const record = () => {
+                const from = this._relativeIndex(start, 0);
+                const oldValues = this._array.slice(from, Math.max(this._relativeIndex(end, this.length), from));
+                return {type: CHANGE.SET, index: from, values: oldValues.map(() => value), oldValues};
+            };
+            return this._change(record, () => {
+                this._array.fill(value, start, end);
+                return this;
+            }, this);
+        } else {
+            throw new ErrorTypeSafe("assign", value, this.type);
+        }
+    }
+
+    /**
+     * Adds an interceptor, which is called with each change record before the change is applied. If the interceptor
+     * returns false, the change is vetoed: it is not applied, and the changing method returns as if nothing changed.
+     * @param interceptor {Function} Receives a change record, returns false to veto the change.
+     * @return {Function} Removes the interceptor.
+     */
+    intercept(interceptor) {
+        return this._emitter().intercept(interceptor);
+    }
+
+    /**
+     * Calls Array.prototype.pop method. Removes the last element from a TypeSafeArray and returns that element.
+     * @return {T|undefined} The removed element from the TypeSafeArray, undefined if the TypeSafeArray
+     * is empty.
+     */
+    pop() {
+        if (this.length <= 0) {
+            return undefined;
+        }
+        const record = () => ({type: CHANGE.REMOVE, index: this.length - 1, values: this._array.slice(-1)});
+        return this._change(record, () => this._array.pop());
     }
 
     /**
@@ -60,7 +134,11 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
      */
     push(...items) {
         if (this.itemsAreOfThisArrayType(...items)) {
-            return this._array.push(...items);
+            if (items.length <= 0) {
+                return this.length;
+            }
+            const record = () => ({type: CHANGE.ADD, index: this.length, values: items});
+            return this._change(record, () => this._array.push(...items), this.length);
         } else {
             throw new ErrorTypeSafe("add", items, this.type);
         }
@@ -71,8 +149,11 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
      * @return {TypeSafeArray<T>} The reversed TypeSafeArray.
      */
     reverse() {
-        this._array.reverse();
-        return this;
+        const record = () => ({type: CHANGE.SORT, index: 0, values: this.items.reverse(), oldValues: this.items});
+        return this._change(record, () => {
+            this._array.reverse();
+            return this;
+        }, this);
     }
 
     /**
@@ -84,12 +165,27 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
      */
     set(index, value) {
         if (isType(value, this.type)) {
-            return this._array[index] = value;
+            const record = () => ({type: CHANGE.SET, index, values: [value], oldValues: [this._array[index]]});
+            return this._change(record, () => this._array[index] = value);
         } else {
             throw new ErrorTypeSafe("assign", value, this.type);
         }
     }
 
+    /**
+     * Calls Array.prototype.shift method. Removes the first element from a TypeSafeArray and returns that
+     * removed element.
+     * @return {T} The removed element from the TypeSafeArray, undefined if the TypeSafeArray is empty.
+     */
+    shift() {
+        if (this.length <= 0) {
+            return undefined;
+        }
+        return this._change(() => ({type: CHANGE.REMOVE, index: 0, values: this._array.slice(0, 1)}), () => {
+            return this._array.shift();
+        });
+    }
+
     /**
      * Calls Array.prototype.sort method, with type safe validation. Sorts the elements of an TypeSafeArray in place.
      * If compareFunction is omitted, provides type specific callback.
@@ -98,8 +194,50 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
      */
     sort(compareFunction = undefined) {
         compareFunction = compareFunction || setDefaultCompare(this.type);
-        this._array.sort(compareFunction);
-        return this;
+        const record = () => ({
+            type: CHANGE.SORT, index: 0, values: this.items.sort(compareFunction), oldValues: this.items
+        });
+        return this._change(record, () => {
+            this._array.sort(compareFunction);
+            return this;
+        }, this);
+    }
+
+    /**
+     * Calls Array.prototype.splice method, with type safe validation. Changes the contents of a TypeSafeArray
+     * by removing or replacing existing elements and/or adding new elements of type <T> in place.
+     * @param start {number} The index at which to start changing the TypeSafeArray.
+     * @param deleteCount {number} The number of elements in the TypeSafeArray to remove from start.
+     * @param items {T} The elements to add to the TypeSafeArray, beginning from start.
+     * @return {T[]} An array containing the deleted elements.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     */
+    splice(start, deleteCount = undefined, ...items) {
+        if (!isInitialized(items) || this.itemsAreOfThisArrayType(...items)) {
+            const from = this._relativeIndex(start, 0);
+            const count = Math.min(Math.max(Math.trunc(deleteCount) || 0, 0), this.length - from);
+            // Replacing elements is described as a removal followed by an addition, notified together. Both records
+            // are intercepted before either is applied, so a veto of either leaves this array unchanged.
+            const remove = () => ({type: CHANGE.REMOVE, index: from, values: this._array.slice(from, from + count)});
+            const add = () => ({type: CHANGE.ADD, index: from, values: items});
+            const changes = [count > 0 && remove, items.length > 0 && add].filter(Boolean)
+                .map(createRecord => [this._changes, createRecord]);
+            return this.batch(() => {
+                return ChangeEmitter.applyAll(changes, () => this._array.splice(from, count, ...items), []);
+            });
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds a listener, which is called with an array of change records after the TypeSafeArray changes. A single
+     * change, such as push(...items) or sort(), yields a single record.
+     * @param listener {Function} Receives an array of change records.
+     * @return {Function} Removes the listener.
+     */
+    subscribe(listener) {
+        return this._emitter().subscribe(listener);
     }
 
     /**
@@ -111,12 +249,69 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
      */
     unshift(...items) {
         if (this.itemsAreOfThisArrayType(...items)) {
-            return this._array.unshift(...items);
+            if (items.length <= 0) {
+                return this.length;
+            }
+            const record = () => ({type: CHANGE.ADD, index: 0, values: items});
+            return this._change(record, () => this._array.unshift(...items), this.length);
         } else {
             throw new ErrorTypeSafe("add", items, this.type);
         }
     }
 
+    /**
+     * Applies a change to this TypeSafeArray, and notifies about it if observed.
+     * @param createRecord {Function} Returns the change record, called only if observed.
+     * @param apply {Function} Applies the change, and returns the result of the changing method.
+     * @param vetoed {*} The result to return if the change was vetoed.
+     * @return {*} The result of apply, or vetoed if the change was vetoed.
+     * @private
+     */
+    _change(createRecord, apply, vetoed = undefined) {
+        return this._changes ? this._changes.apply(createRecord, apply, vetoed) : apply();
+    }
+
+    /**
+     * @return {ChangeEmitter} The emitter of this TypeSafeArray's changes, created on first use.
+     * @private
+     */
+    _emitter() {
+        return this._changes || (this._changes = new ChangeEmitter());
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this TypeSafeArray.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat("subscribe");
+    }
+
+    /**
+     * Resolves a relative index argument of Array.prototype methods, as these methods do.
+     * @param index {number|undefined} The index, counted from the end if negative.
+     * @param fallback {number} The index to use if undefined.
+     * @return {number} The resolved index, between 0 and length (inclusive).
+     * @private
+     */
+    _relativeIndex(index, fallback) {
+        if (index === undefined) {
+            return fallback;
+        }
+        const integer = Math.trunc(index) || 0;
+        return integer < 0 ? Math.max(this.length + integer, 0) : Math.min(integer, this.length);
+    }
+
+    /**
+     * @return {{class: string, type: string, items: T[]}} JSON representation of this TypeSafeArray, with its type
+     * name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeArray"});
+    }
+
     /**
      * Mimics Array.from static method. Creates a new, shallow-copied TypeSafeArray instance from an array-like or
      * iterable object of the same type.
@@ -136,6 +331,21 @@ class TypeSafeArray extends TypeSafeReadonlyArray {
         }
     }
 
+    /**
+     * Creates a new TypeSafeArray instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeArray} A new TypeSafeArray instance.
+     * @throws {TypeError} If json does not represent a TypeSafeArray, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {type, items} = parseJSON(json, "TypeSafeArray");
+        return new TypeSafeArray(typeFromJSON(type, options.types), ...items);
+    }
+
     /**
      * Mimics Array.of static method. creates a new TypeSafeArray instance from a variable number of arguments of the
      * same type.
@@ -1,25 +1,29 @@
-import {getArrayType, isInitialized, isType} from "../common/utils";
+import {
+    getArrayType, getTypeName, isArrayOfType, isInitialized, parseJSON, readonlyView, typeFromJSON
+} from "../common/utils";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
+import {equals, hashCode} from "../common/equality";
 
 /**
  * A type safe read only array wrapper. Includes all non-mutating Array.prototype methods, with type safe validation.
+ * Mutating methods are implemented by its extensions.
  * @extends {Object}
  */
 class TypeSafeReadonlyArray {
     /**
      * Sets array type and items.
-     * @param type {string} Type to use for this array.
+     * @param type {string|Function|TypeDescriptor} Type to use for this array.
      * @param items {T} Items to set to array.
      * @throws {ErrorTypeSafe} If some items are not of type <T>.
      * @template T
      */
     constructor(type, ...items) {
-        if (isInitialized(items) && getArrayType(items) !== type) {
+        if (!isArrayOfType(items, type)) {
             throw new ErrorTypeSafe("initialize", items, type);
         }
         /**
          * This array type.
-         * @type {string}
+         * @type {string|Function|TypeDescriptor}
          */
         this.type = type;
         /**
@@ -45,6 +49,16 @@ class TypeSafeReadonlyArray {
         return this._array.length;
     }
 
+    /**
+     * Returns a live, read-only view of this array, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this array.
+     * @return {Object} A read-only view of this array.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this array is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
     /**
      * Calls Array.prototype.entries method.
      * @return {Generator<Array>} A new Array Iterator object that contains the key/value pairs for
@@ -54,6 +68,17 @@ class TypeSafeReadonlyArray {
         return this._array.entries();
     }
 
+    /**
+     * Compares this array to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is an array of the same class and type, with the same elements in the same order,
+     * or an array of these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
     /**
      * Calls Array.prototype.every method.
      * Tests whether all elements in the TypeSafeReadonlyArray pass the test implemented by the provided function.
@@ -66,24 +91,6 @@ class TypeSafeReadonlyArray {
         return this._array.every(callback, thisArg);
     }
 
-    /**
-     * Calls Array.prototype.fill method, with type safe validation. Changes all elements in a TypeSafeReadonlyArray
-     * to a static value of type <T>, from a start index (default 0) to an end index (default array.length).
-     * @param value {T} Value to fill the array with.
-     * @param start {number} Start index, default 0.
-     * @param end {number} End index, default array.length.
-     * @return {this} The modified TypeSafeReadonlyArray, filled with value.
-     * @throws {ErrorTypeSafe} if value is not of type <T>.
-     */
-    fill(value, start = undefined, end = undefined) {
-        if (isType(value, this.type)) {
-            this._array.fill(value, start, end);
-            return this;
-        } else {
-            throw new ErrorTypeSafe("assign", value, this.type);
-        }
-    }
-
     /**
      * Calls Array.prototype.filter method. Creates a new TypeSafeReadonlyArray with all elements that pass the test
      * implemented by the provided function.
@@ -163,6 +170,13 @@ class TypeSafeReadonlyArray {
         return this._array[index];
     }
 
+    /**
+     * @return {number} A hash code of this array's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
     /**
      * Calls Array.prototype.includes method. Determines whether a TypeSafeReadonlyArray includes a certain value among
      * its entries.
@@ -191,7 +205,7 @@ class TypeSafeReadonlyArray {
      * @protected
      */
     itemsAreOfThisArrayType(...items) {
-        return getArrayType(items) === this.type;
+        return isArrayOfType(items, this.type);
     }
 
     /**
@@ -236,15 +250,6 @@ class TypeSafeReadonlyArray {
         return this._mapMethods(this._array.map, callback, thisArg);
     }
 
-    /**
-     * Calls Array.prototype.pop method. Removes the last element from a TypeSafeReadonlyArray and returns that element.
-     * @return {T|undefined} The removed element from the TypeSafeReadonlyArray, undefined if the TypeSafeReadonlyArray
-     * is empty.
-     */
-    pop() {
-        return this._array.pop();
-    }
-
     /**
      * Calls Array.prototype.reduce method. Executes a reducer function (that you provide) on each element of the
      * TypeSafeReadonlyArray, resulting in single output value.
@@ -272,15 +277,6 @@ class TypeSafeReadonlyArray {
         return this._array.reduceRight(callback, initialValue);
     }
 
-    /**
-     * Calls Array.prototype.shift method. Removes the first element from a TypeSafeReadonlyArray and returns that
-     * removed element.
-     * @return {T} The removed element from the TypeSafeReadonlyArray, undefined if the TypeSafeReadonlyArray is empty.
-     */
-    shift() {
-        return this._array.shift();
-    }
-
     /**
      * Calls Array.prototype.slice method, with type safe validation. Returns a shallow copy of a portion of a
      * TypeSafeReadonlyArray into a new TypeSafeReadonlyArray.
@@ -306,20 +302,11 @@ class TypeSafeReadonlyArray {
     }
 
     /**
-     * Calls Array.prototype.splice method, with type safe validation. Changes the contents of a TypeSafeReadonlyArray
-     * by removing or replacing existing elements and/or adding new elements of type <T> in place.
-     * @param start {number} The index at which to start changing the TypeSafeReadonlyArray.
-     * @param deleteCount {number} The number of elements in the TypeSafeReadonlyArray to remove from start.
-     * @param items {T} The elements to add to the TypeSafeReadonlyArray, beginning from start.
-     * @return {T[]} An array containing the deleted elements.
-     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * Returns the JSON representation of this array, used by JSON.stringify.
+     * @return {{class: string, type: string, items: T[]}} JSON representation of this array, with its type name.
      */
-    splice(start, deleteCount = undefined, ...items) {
-        if (!isInitialized(items) || this.itemsAreOfThisArrayType(...items)) {
-            return this._array.splice(start, deleteCount, ...items);
-        } else {
-            throw new ErrorTypeSafe("add", items, this.type);
-        }
+    toJSON() {
+        return {class: "TypeSafeReadonlyArray", type: getTypeName(this.type), items: this.items};
     }
 
     /**
@@ -348,6 +335,30 @@ class TypeSafeReadonlyArray {
         return this._array[Symbol.iterator]();
     }
 
+    /**
+     * Replaces this array's items without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>, in order. Kept without copying.
+     * @return {TypeSafeReadonlyArray<T>} This array.
+     * @protected
+     */
+    _load(items) {
+        this._array = items;
+        return this;
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this array.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "type", "items", "length", "asReadonly", "equals", "entries", "every", "filter", "find", "findIndex",
+            "flat", "flatMap", "forEach", "get", "hashCode", "includes", "indexOf", "itemsAreOfThisArrayType", "join",
+            "keys", "lastIndexOf", "map", "reduce", "reduceRight", "slice", "some", "toJSON", "toString", "values",
+            Symbol.iterator
+        ];
+    }
+
     /**
      * Helper method for map methods. Attempts to perform map operation.
      * @param method {Function} Parent's map method.
@@ -366,6 +377,20 @@ class TypeSafeReadonlyArray {
             return [...attempt];
         }
     }
+
+    /**
+     * Creates a new TypeSafeReadonlyArray instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeReadonlyArray} A new TypeSafeReadonlyArray instance.
+     * @throws {TypeError} If json does not represent a TypeSafeReadonlyArray, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     */
+    static fromJSON(json, options = {}) {
+        const {type, items} = parseJSON(json, "TypeSafeReadonlyArray");
+        return new TypeSafeReadonlyArray(typeFromJSON(type, options.types), ...items);
+    }
 }
 
 export default TypeSafeReadonlyArray;
\ No newline at end of file
@@ -1,16 +1,20 @@
-import {getArrayType, getType, isInitialized, setDefaultCompare} from "../common/utils";
+import {
+    EQUALITY, compareFromJSON, compareToJSON, getArrayType, getType, inclusiveBounds, isInitialized, parseJSON,
+    percentileOf, setDefaultCompare, typeFromJSON
+} from "../common/utils";
 import TypeSafeReadonlyArray from "./TypeSafeReadonlyArray";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
 
 /**
  * A type safe sorted array wrapper.
- * Provides improved search efficiency, at O(log n), implemented with binary search.
+ * Provides improved search efficiency, at O(log n), implemented with binary search. Searches match the identical
+ * elements by default, or the elements which compare equal to the searched value, see setEquality.
  * @extends {TypeSafeReadonlyArray}
  */
 class TypeSafeSortedArray extends TypeSafeReadonlyArray {
     /**
      * Sets array type, compare function and items.
-     * @param type {string} Type to use for this array.
+     * @param type {string|Function|TypeDescriptor} Type to use for this array.
      * @param compareFunc {Function} Specifies a function that defines the sort order.
      * @param items {T} Items to set to array.
      * @template T
@@ -23,6 +27,12 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
          * @type {Function}
          */
         this.compare = compareFunc;
+        /**
+         * This array equality mode, which elements match a searched value.
+         * @type {string}
+         * @default EQUALITY.IDENTITY
+         */
+        this.equality = EQUALITY.IDENTITY;
         this.add(...items);
     }
 
@@ -30,15 +40,51 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
      * Adds one or more elements of type <T> at the sorted position in TypeSafeSortedArray.
      * @param items {T} The element(s) to add to the TypeSafeSortedArray.
      * @return {number} The new length property of this TypeSafeArray.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
      */
     add(...items) {
+        if (!this.itemsAreOfThisArrayType(...items)) {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
         for (const item of items) {
             const index = this._findInsertionIndex(item);
-            super.splice(index, 0, item);
+            this._array.splice(index, 0, item);
         }
         return this.length;
     }
 
+    /**
+     * Implemented with binary search.
+     * @param value {T} The value to count.
+     * @return {number} The number of elements matching value, by this array's equality mode.
+     */
+    count(value) {
+        return this._findMatches(value).length;
+    }
+
+    /**
+     * Counts the elements from fromValue to toValue, implemented with binary search.
+     * @param fromValue {T} The lower bound.
+     * @param toValue {T} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} inclusive includes the bounds themselves, default true. Pass
+     * [fromInclusive, toInclusive] to set each bound.
+     * @return {number} The number of elements within the bounds.
+     */
+    countInRange(fromValue, toValue, options = {}) {
+        const [start, end] = this._rangeIndexes(fromValue, toValue, options);
+        return end - start;
+    }
+
+    /**
+     * Finds the elements which compare equal to a value, implemented with binary search.
+     * @param value {T} The value to search for.
+     * @return {number[]} [lowerBound, upperBound] of value. The elements which compare equal are at the indexes from
+     * lowerBound up to, but not including, upperBound. Both are the insertion index of value if there are none.
+     */
+    equalRange(value) {
+        return [this.lowerBound(value), this.upperBound(value)];
+    }
+
     /**
      * Creates a new TypeSafeSortedArray with all elements that pass the test implemented by the provided function.
      * @param callback {Function} Tests each element of the array. Return true to keep the element, false otherwise.
@@ -49,59 +95,156 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
      */
     filter(callback, thisArg = undefined) {
         const filter = this._array.filter(callback, thisArg);
-        return new TypeSafeSortedArray(this.type, this.compare, ...filter);
+        return new TypeSafeSortedArray(this.type, this.compare, ...filter).setEquality(this.equality);
     }
 
     /**
-     * Determines whether a TypeSafeSortedArray includes a certain value among its entries.
-     * Implemented with binary search.
+     * Determines whether a TypeSafeSortedArray includes a certain value among its entries, by this array's equality
+     * mode. Implemented with binary search.
      * @param valueToFind {T} The value to search for.
      * @param fromIndex {number} The position in this array at which to begin searching for valueToFind.
      * @return {boolean} True if the value is found within the TypeSafeSortedArray, false otherwise.
      * @override
      */
     includes(valueToFind, fromIndex = undefined) {
-        const array = fromIndex ? this._array.slice(fromIndex) : this._array;
-        return this._binarySearch(valueToFind, array) !== -1;
+        return this.indexOf(valueToFind, fromIndex) !== -1;
     }
 
     /**
-     * Implemented with binary search.
+     * Implemented with binary search. Elements match searchElement by this array's equality mode.
      * @param searchElement {T} Element to locate in the TypeSafeSortedArray.
-     * @param fromIndex {number} The index to start the search at.
+     * @param fromIndex {number} The index to start the search at. A negative index counts back from the end.
      * @return {number} The first index at which a given element can be found in the TypeSafeSortedArray,
      * -1 if not found.
      * @override
      */
-    indexOf(searchElement, fromIndex = undefined) {
-        return this._fineTuneBinarySearch(findFirstIndex, searchElement, fromIndex);
-
-        function findFirstIndex(array, current) {
-            if (array[current - 1] !== searchElement) {
-                return current;
-            } else {
-                return findFirstIndex(array, current - 1);
-            }
-        }
+    indexOf(searchElement, fromIndex = 0) {
+        const start = fromIndex < 0 ? this.length + fromIndex : fromIndex;
+        const index = this._findMatches(searchElement).find(index => index >= start);
+        return index === undefined ? -1 : index;
     }
 
     /**
-     * Implemented with binary search.
+     * Implemented with binary search. Elements match searchElement by this array's equality mode.
      * @param searchElement {T} Element to locate in the TypeSafeSortedArray.
-     * @param fromIndex {number} The index at which to start searching backwards.
+     * @param fromIndex {number} The index at which to start searching backwards. A negative index counts back from
+     * the end.
      * @return {number} The last index of the element in the TypeSafeSortedArray, -1 if not found.
      * @override
      */
-    lastIndexOf(searchElement, fromIndex = undefined) {
-        return this._fineTuneBinarySearch(findLastIndex, searchElement, fromIndex);
+    lastIndexOf(searchElement, fromIndex = this.length - 1) {
+        const start = fromIndex < 0 ? this.length + fromIndex : fromIndex;
+        const index = this._findMatches(searchElement).filter(index => index <= start).pop();
+        return index === undefined ? -1 : index;
+    }
+
+    /**
+     * Implemented with binary search.
+     * @param value {T} The value to search for.
+     * @return {number} The index of the first element which does not come before value in sort order, i.e. compares
+     * greater than or equal to it. The length of the TypeSafeSortedArray if there is none.
+     */
+    lowerBound(value) {
+        return this._findLowerIndex(value);
+    }
 
-        function findLastIndex(array, current) {
-            if (array[current + 1] !== searchElement) {
-                return current;
-            } else {
-                return findLastIndex(array, current + 1);
-            }
+    /**
+     * @return {T|undefined} The median element, i.e. the 50th percentile, undefined if the TypeSafeSortedArray is
+     * empty.
+     */
+    median() {
+        return this.percentile(50);
+    }
+
+    /**
+     * Finds the element closest to a value, implemented with binary search. Only the elements on either side of the
+     * value's sorted position are measured.
+     * @param value {T} The value to search for.
+     * @param distance {Function} Receives an element and value, returns their distance. Defaults to the magnitude of
+     * compare, which is the numeric distance for compare functions which subtract, e.g. COMPARE.NUMBER.
+     * @return {T|undefined} The closest element, or the lesser of two equally close elements. Undefined if the
+     * TypeSafeSortedArray is empty.
+     */
+    nearest(value, distance = (a, b) => Math.abs(this.compare(a, b))) {
+        const index = this.lowerBound(value);
+        const candidates = this._array.slice(Math.max(0, index - 1), index + 1);
+        if (candidates.length < 2) {
+            return candidates[0];
+        }
+        const [before, after] = candidates;
+        return distance(after, value) < distance(before, value) ? after : before;
+    }
+
+    /**
+     * Computes a percentile of the elements, see percentileOf in common/utils. Numbers are interpolated between the
+     * two closest ranks.
+     * @param p {number} The percentile, from 0 to 100.
+     * @return {T|undefined} The percentile, undefined if the TypeSafeSortedArray is empty.
+     * @throws {TypeError} If p is not a number from 0 to 100.
+     */
+    percentile(p) {
+        return percentileOf(index => this._array[index], this.length, p);
+    }
+
+    /**
+     * Calls Array.prototype.pop method. Removes the last element from a TypeSafeSortedArray and returns that element.
+     * @return {T|undefined} The removed element from the TypeSafeSortedArray, undefined if the TypeSafeSortedArray
+     * is empty.
+     */
+    pop() {
+        return this._array.pop();
+    }
+
+    /**
+     * Returns the elements from fromValue to toValue, implemented with binary search.
+     * @param fromValue {T} The lower bound.
+     * @param toValue {T} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} inclusive includes the bounds themselves, default true. Pass
+     * [fromInclusive, toInclusive] to set each bound.
+     * @return {TypeSafeSortedArray<T>} A new TypeSafeSortedArray with the elements within the bounds.
+     */
+    range(fromValue, toValue, options = {}) {
+        return this.slice(...this._rangeIndexes(fromValue, toValue, options));
+    }
+
+    /**
+     * Implemented with binary search.
+     * @param value {T} The value to rank.
+     * @return {number} The number of elements which come strictly before value in sort order.
+     */
+    rank(value) {
+        return this.lowerBound(value);
+    }
+
+    /**
+     * Removes the first element matching a value, by this array's equality mode.
+     * @param value {T} The value to remove.
+     * @return {boolean} True if an element was removed, false if none matched.
+     */
+    remove(value) {
+        const [index] = this._findMatches(value);
+        return index !== undefined && this._array.splice(index, 1).length > 0;
+    }
+
+    /**
+     * Removes all elements matching a value, by this array's equality mode.
+     * @param value {T} The value to remove.
+     * @return {number} The number of removed elements.
+     */
+    removeAll(value) {
+        const matches = this._findMatches(value);
+        for (let i = matches.length - 1; i >= 0; i--) {
+            this._array.splice(matches[i], 1);
         }
+        return matches.length;
+    }
+
+    /**
+     * @param index {number} A zero-based index in sort order.
+     * @return {T|undefined} The element at index, undefined if index is out of range.
+     */
+    select(index) {
+        return Number.isInteger(index) && index >= 0 ? this._array[index] : undefined;
     }
 
     /**
@@ -115,6 +258,30 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
         return this;
     }
 
+    /**
+     * Sets which elements match a searched value, in includes, indexOf, lastIndexOf, count, remove and removeAll.
+     * @param equality {string} EQUALITY.IDENTITY matches the identical (===) elements, the default.
+     * EQUALITY.COMPARE matches the elements for which compare returns 0, e.g. objects with an equal key.
+     * @return {TypeSafeSortedArray<T>} This TypeSafeSortedArray.
+     * @throws {TypeError} If equality is not a value of EQUALITY.
+     */
+    setEquality(equality) {
+        if (!Object.values(EQUALITY).includes(equality)) {
+            throw new TypeError(`Invalid equality: ${equality}. Expected a value of EQUALITY.`);
+        }
+        this.equality = equality;
+        return this;
+    }
+
+    /**
+     * Calls Array.prototype.shift method. Removes the first element from a TypeSafeSortedArray and returns that
+     * removed element.
+     * @return {T} The removed element from the TypeSafeSortedArray, undefined if the TypeSafeSortedArray is empty.
+     */
+    shift() {
+        return this._array.shift();
+    }
+
     /**
      * Returns a shallow copy of a portion of a TypeSafeSortedArray into a new TypeSafeSortedArray.
      * @param start {number} Zero-based index at which to start extraction.
@@ -124,7 +291,7 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
      */
     slice(start, end = undefined) {
         const slice = this._array.slice(start, end);
-        return new TypeSafeSortedArray(this.type, this.compare, ...slice);
+        return new TypeSafeSortedArray(this.type, this.compare, ...slice).setEquality(this.equality);
     }
 
     /**
@@ -134,33 +301,19 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
      * @param deleteCount {number} The number of elements in the TypeSafeSortedArray to remove from start.
      * @param items {T} Disabled in TypeSafeSortedArray.
      * @return {T[]} An array containing the deleted elements.
-     * @override
      */
     splice(start, deleteCount = undefined, ...items) {
-        return super.splice(start, deleteCount);
+        return this._array.splice(start, deleteCount);
     }
 
     /**
-     * Implements a binary search algorithm that locates an item in the TypeSafeSortedArray, and returns its index.
-     * @param item {T} Element to locate in the TypeSafeSortedArray.
-     * @param array {T[]} This array.
-     * @param left {number} The current left part of the array, default is 0.
-     * @param right {number} The current right part of the array, default is array.length.
-     * @return {number} The index of the element in the TypeSafeSortedArray, -1 if not found.
-     * @private
+     * Implemented with binary search.
+     * @param value {T} The value to search for.
+     * @return {number} The index of the first element which comes after value in sort order, i.e. compares greater
+     * than it. The length of the TypeSafeSortedArray if there is none.
      */
-    _binarySearch(item, array, left = 0, right = array.length - 1) {
-        if (right >= left) {
-            const middle = Math.floor(left + (right - left) / 2);
-            if (array[middle] === item) {
-                return middle;
-            } else if (this.compare(array[middle], item) > 0) {
-                return this._binarySearch(item, array, left, middle - 1);
-            } else {
-                return this._binarySearch(item, array, middle + 1, right);
-            }
-        }
-        return -1;
+    upperBound(value) {
+        return this._findInsertionIndex(value);
     }
 
     /**
@@ -185,18 +338,42 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
     }
 
     /**
-     * Finds either first or last index of a value in TypeSafeSortedArray, given as a result of a binary search.
-     * @param callback {Function} After the index was found, traverses back/forth to find first/last index.
-     * @param searchElement {T} Element to locate in the TypeSafeSortedArray.
-     * @param fromIndex {number} The index to start the search at.
-     * @return {number} The specified index at which a given element can be found in the TypeSafeSortedArray,
-     * -1 if not found.
+     * Finds the index of the first element which does not come before an item, implemented with binary search.
+     * @param item {T} The element to find the index for.
+     * @param left {number} The current left part of the array, default is 0.
+     * @param right {number} The current right part of the array, default is array.length.
+     * @return {number} The index of the first element greater than or equal to this item, array.length if none.
+     * @private
+     */
+    _findLowerIndex(item, left = 0, right = this.length) {
+        if (left >= right) {
+            return left;
+        } else {
+            const middle = Math.floor((left + right) / 2);
+            if (this.compare(this._array[middle], item) >= 0) {
+                return this._findLowerIndex(item, left, middle);
+            } else {
+                return this._findLowerIndex(item, middle + 1, right);
+            }
+        }
+    }
+
+    /**
+     * Finds the elements matching a value, by this array's equality mode. Only the elements which compare equal to
+     * value are tested, so an identical element is found among several equal ones.
+     * @param value {T} The value to search for.
+     * @return {number[]} The indexes of the matching elements, in ascending order.
      * @private
      */
-    _fineTuneBinarySearch(callback, searchElement, fromIndex = undefined) {
-        const array = fromIndex ? this._array.slice(fromIndex) : this._array;
-        const result = this._binarySearch(searchElement, array);
-        return result !== -1 ? callback(array, result) : -1;
+    _findMatches(value) {
+        const [start, end] = this.equalRange(value);
+        const indexes = [];
+        for (let index = start; index < end; index++) {
+            if (this.equality === EQUALITY.COMPARE || this._array[index] === value) {
+                indexes.push(index);
+            }
+        }
+        return indexes;
     }
 
     /**
@@ -219,6 +396,46 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
         }
     }
 
+    /**
+     * Finds the indexes of the elements from fromValue to toValue.
+     * @param fromValue {T} The lower bound.
+     * @param toValue {T} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} Whether the bounds are inclusive, see range.
+     * @return {number[]} [start, end], the index of the first element within the bounds, and the index after the last.
+     * Equal if there are none.
+     * @private
+     */
+    _rangeIndexes(fromValue, toValue, options) {
+        const [fromInclusive, toInclusive] = inclusiveBounds(options.inclusive);
+        const start = fromInclusive ? this.lowerBound(fromValue) : this.upperBound(fromValue);
+        const end = toInclusive ? this.upperBound(toValue) : this.lowerBound(toValue);
+        return [start, Math.max(start, end)];
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this array.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat(
+            "compare", "count", "countInRange", "equality", "equalRange", "lowerBound", "median", "nearest",
+            "percentile", "range", "rank", "select", "upperBound"
+        );
+    }
+
+    /**
+     * Returns the JSON representation of this array, used by JSON.stringify. The compare function is represented by
+     * its key in COMPARE, or null if it is a custom function.
+     * @return {{class: string, type: string, compare: string|null, equality: string, items: T[]}} JSON representation
+     * of this TypeSafeSortedArray.
+     * @override
+     */
+    toJSON() {
+        const compare = compareToJSON(this.compare);
+        return Object.assign(super.toJSON(), {class: "TypeSafeSortedArray", compare, equality: this.equality});
+    }
+
     /**
      * Mimics Array.from static method. Creates a new, shallow-copied TypeSafeSortedArray instance from an array-like or
      * iterable object of the same type.
@@ -240,6 +457,24 @@ class TypeSafeSortedArray extends TypeSafeReadonlyArray {
         }
     }
 
+    /**
+     * Creates a new TypeSafeSortedArray instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object, compare: Function}} types maps the names of constructor and descriptor types to
+     * the types themselves. compare is the custom compare function, required if one was used.
+     * @return {TypeSafeSortedArray} A new TypeSafeSortedArray instance.
+     * @throws {TypeError} If json does not represent a TypeSafeSortedArray, or its type or compare function is
+     * unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {type, compare, equality, items} = parseJSON(json, "TypeSafeSortedArray");
+        const compareFunction = compareFromJSON(compare, options.compare);
+        const array = new TypeSafeSortedArray(typeFromJSON(type, options.types), compareFunction, ...items);
+        return array.setEquality(equality || EQUALITY.IDENTITY);
+    }
+
     /**
      * Mimics Array.of static method. creates a new TypeSafeSortedArray instance from a variable number of arguments of
      * the same type.
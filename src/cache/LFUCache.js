@@ -0,0 +1,181 @@
+import LRUCache from "./LRUCache";
+import LinkedList from "../linked-list/LinkedList";
+import {isInitialized, parseJSON} from "../common/utils";
+
+/**
+ * Implementation of a Least Frequently Used (LFU) cache. A key-value store with a max capacity, which evicts the least
+ * frequently used entry when full (the least recently used among them on ties). Entries may expire after a time to
+ * live (TTL). Implemented with a linked list per use count, which provides get, set and delete efficiency at O(1).
+ * @extends {LRUCache}
+ */
+class LFUCache extends LRUCache {
+    /**
+     * Initializes this cache's store.
+     * @param capacity {number} The max number of entries in this cache, default Infinity.
+     */
+    constructor(capacity = Infinity) {
+        super(capacity);
+        /**
+         * Maps each use count to a list of the entries with that count, from most to least recently used.
+         * @type {Map<number, LinkedList>}
+         * @private
+         */
+        this._buckets = new Map();
+        /**
+         * The lowest use count in this cache. May be outdated after removals, and is updated before eviction.
+         * @type {number}
+         * @private
+         */
+        this._minCount = 0;
+    }
+
+    /**
+     * Returns the number of times an entry was used (set or get), without marking it as used.
+     * @param key {*} The key of the entry.
+     * @return {number} The use count of the entry if found and did not expire, 0 otherwise.
+     */
+    frequency(key) {
+        const node = this._find(key);
+        return node ? node.value.count : 0;
+    }
+
+    /**
+     * @return {{class: string, capacity: number, ttl: number, items: Object[]}} JSON representation of this cache,
+     * with the use count of each entry.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "LFUCache"});
+    }
+
+    /**
+     * Stores a new entry, with a use count of 1.
+     * @param entry {{key: *, value: *, expires: number}} The entry to store.
+     * @return {LinkedListNode} The node holding the entry.
+     * @protected
+     * @override
+     */
+    _insert(entry) {
+        entry.count = 1;
+        this._minCount = 1;
+        return this._addToBucket(entry);
+    }
+
+    /**
+     * @return {Iterable<LinkedListNode>} The nodes of all entries, from most to least frequently used.
+     * @protected
+     * @override
+     */
+    _nodes() {
+        const counts = [...this._buckets.keys()].sort((a, b) => b - a);
+        return counts.flatMap(count => Array.from(this._buckets.get(count).traverse(), ([node]) => node));
+    }
+
+    /**
+     * Removes the node of an entry from its use count list. Does not update the key map.
+     * @param node {LinkedListNode} The node holding the entry.
+     * @protected
+     * @override
+     */
+    _remove(node) {
+        const count = node.value.count;
+        const list = this._buckets.get(count);
+        list.removeByNode(node);
+        if (list.size <= 0) {
+            this._buckets.delete(count);
+            if (this._minCount === count) {
+                this._minCount++;
+            }
+        }
+    }
+
+    /**
+     * Increments the use count of an entry, and moves it to the matching list.
+     * @param node {LinkedListNode} The node holding the entry.
+     * @return {LinkedListNode} The node now holding the entry.
+     * @protected
+     * @override
+     */
+    _touch(node) {
+        this._remove(node);
+        node.value.count++;
+        return this._addToBucket(node.value);
+    }
+
+    /**
+     * @return {LinkedListNode} The node of the next entry to be evicted (the least recently used among the least
+     * frequently used).
+     * @protected
+     * @override
+     */
+    _victim() {
+        if (!this._buckets.has(this._minCount)) {
+            this._minCount = Math.min(...this._buckets.keys());
+        }
+        return this._buckets.get(this._minCount).tail;
+    }
+
+    /**
+     * Restores this cache's settings and entries from its JSON representation, including the entries' use counts.
+     * @param json {Object} The parsed JSON representation.
+     * @return {LFUCache} This cache.
+     * @protected
+     * @override
+     */
+    _restore(json) {
+        super._restore(json);
+        for (const {key, count} of json.items) {
+            const node = this._map.get(key);
+            if (node && count > 1) {
+                this._remove(node);
+                node.value.count = count;
+                this._map.set(key, this._addToBucket(node.value));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Adds an entry to the front of its use count list, creating the list if needed.
+     * @param entry {{key: *, value: *, expires: number, count: number}} The entry to add.
+     * @return {LinkedListNode} The node holding the entry.
+     * @private
+     */
+    _addToBucket(entry) {
+        if (!this._buckets.has(entry.count)) {
+            this._buckets.set(entry.count, new LinkedList());
+        }
+        const list = this._buckets.get(entry.count);
+        list.unshift(entry);
+        return list.head;
+    }
+
+    /**
+     * Creates a new cache instance from an iterable of key/value pairs.
+     * @param entries {Iterable<Array>} Key/value pairs to set to the cache.
+     * @param capacity {number} The max number of entries in the cache, default Infinity.
+     * @return {LFUCache} A new cache instance.
+     * @override
+     */
+    static from(entries, capacity = Infinity) {
+        const cache = new LFUCache(capacity);
+        for (const [key, value] of entries) {
+            cache.set(key, value);
+        }
+        return cache;
+    }
+
+    /**
+     * Creates a new cache instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {LFUCache} A new cache instance.
+     * @throws {TypeError} If json does not represent an LFU cache.
+     * @override
+     */
+    static fromJSON(json) {
+        const object = parseJSON(json, "LFUCache");
+        return new LFUCache(isInitialized(object.capacity) ? object.capacity : Infinity)._restore(object);
+    }
+}
+
+export default LFUCache;
\ No newline at end of file
@@ -0,0 +1,461 @@
+import LinkedList from "../linked-list/LinkedList";
+import {isInitialized, parseJSON} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a Least Recently Used (LRU) cache. A key-value store with a max capacity, which evicts the least
+ * recently used entry when full. Entries may expire after a time to live (TTL).
+ * Implemented with a Map of keys to linked list nodes, which provides get, set and delete efficiency at O(1).
+ * @extends {Object}
+ */
+class LRUCache {
+    /**
+     * Initializes this cache's store.
+     * @param capacity {number} The max number of entries in this cache, default Infinity.
+     */
+    constructor(capacity = Infinity) {
+        /**
+         * Maps each key to the node holding its entry.
+         * @type {Map<*, LinkedListNode>}
+         * @protected
+         */
+        this._map = new Map();
+        /**
+         * This cache's entries, from most to least recently used.
+         * @type {LinkedList}
+         * @private
+         */
+        this._list = new LinkedList();
+        /**
+         * This cache capacity.
+         * @type {number|Infinity}
+         * @private
+         */
+        this._capacity = capacity;
+        /**
+         * This cache's hit, miss and eviction counters.
+         * @type {{hits: number, misses: number, evictions: number}}
+         * @private
+         */
+        this._stats = {hits: 0, misses: 0, evictions: 0};
+        /**
+         * The number of entries with a finite time to live, so that expired entries are only searched for when some
+         * may exist.
+         * @type {number}
+         * @private
+         */
+        this._expiring = 0;
+        /**
+         * The default time to live of new entries, in clock units (milliseconds by default).
+         * @type {number|Infinity}
+         * @default Infinity
+         */
+        this.ttl = Infinity;
+        /**
+         * Returns the current time, used for entries expiry. Replace to control time (e.g. in tests).
+         * @type {Function}
+         * @default Date.now
+         */
+        this.clock = Date.now;
+        /**
+         * Called with key, value and reason ("capacity" or "expired") of each evicted entry.
+         * @type {Function|undefined}
+         */
+        this.onEvict = undefined;
+    }
+
+    /**
+     * Sets the max capacity for this cache. If smaller than the current size, evicts entries until it fits, expired
+     * entries first.
+     * @param maxCapacity {number} The max capacity for this cache.
+     */
+    set capacity(maxCapacity) {
+        this._capacity = maxCapacity;
+        this._fit(maxCapacity);
+    }
+
+    /**
+     * Returns the max capacity for this cache.
+     * @return {number|Infinity}
+     * @type {number|Infinity}
+     */
+    get capacity() {
+        return this._capacity;
+    }
+
+    /**
+     * Returns the number of entries in this cache which did not expire, as listed by entries. Counting them is O(n)
+     * while some entries have a finite time to live, O(1) otherwise.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        if (this._expiring <= 0) {
+            return this._map.size;
+        }
+        const now = this.clock();
+        let count = 0;
+        for (const node of this._map.values()) {
+            node.value.expires > now && count++;
+        }
+        return count;
+    }
+
+    /**
+     * Returns a snapshot of this cache's statistics.
+     * @return {{hits: number, misses: number, evictions: number, hitRate: number}}
+     * @type {{hits: number, misses: number, evictions: number, hitRate: number}}
+     */
+    get stats() {
+        const {hits, misses} = this._stats;
+        return {...this._stats, hitRate: hits + misses > 0 ? hits / (hits + misses) : 0};
+    }
+
+    /**
+     * Removes all entries from this cache, without calling onEvict.
+     */
+    clear() {
+        for (const node of [...this._map.values()]) {
+            this._remove(node);
+        }
+        this._map.clear();
+        this._expiring = 0;
+    }
+
+    /**
+     * Removes an entry from this cache, without calling onEvict.
+     * @param key {*} The key of the entry to remove.
+     * @return {boolean} True if the entry existed and was removed, false otherwise.
+     */
+    delete(key) {
+        const node = this._map.get(key);
+        if (node) {
+            this._remove(node);
+            this._map.delete(key);
+            this._expiring -= LRUCache._expires(node.value.expires);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Compares this cache to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a cache of the same class and type, with the same entries in the same order,
+     * or an array of their keys and values, flattened, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each entry which did not expire.
+     * @param callback {Function} Function to execute on each entry, receives value and key.
+     */
+    forEach(callback) {
+        for (const [key, value] of this.entries()) {
+            callback(value, key, this);
+        }
+    }
+
+    /**
+     * Gets a value by its key, and marks its entry as used. Counts as a hit or a miss.
+     * @param key {*} The key of the entry.
+     * @return {*|undefined} The value if found and did not expire, undefined otherwise.
+     */
+    get(key) {
+        const node = this._find(key);
+        if (node) {
+            this._stats.hits++;
+            this._map.set(key, this._touch(node));
+            return node.value.value;
+        }
+        this._stats.misses++;
+        return undefined;
+    }
+
+    /**
+     * Returns a boolean indicating whether an entry with the specified key exists and did not expire. Does not mark the
+     * entry as used.
+     * @param key {*} The key to test for presence in this cache.
+     * @return {boolean} True if the entry exists, false otherwise.
+     */
+    has(key) {
+        return this._find(key) !== undefined;
+    }
+
+    /**
+     * @return {number} A hash code of this cache's entries, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Gets a value by its key, without marking its entry as used or counting a hit or a miss.
+     * @param key {*} The key of the entry.
+     * @return {*|undefined} The value if found and did not expire, undefined otherwise.
+     */
+    peek(key) {
+        const node = this._find(key);
+        return node ? node.value.value : undefined;
+    }
+
+    /**
+     * Removes all expired entries from this cache.
+     * @return {number} The number of removed entries.
+     */
+    prune() {
+        const now = this.clock();
+        let count = 0;
+        for (const node of [...this._map.values()]) {
+            if (node.value.expires <= now) {
+                this._evict(node, "expired");
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Resets this cache's statistics.
+     */
+    resetStats() {
+        this._stats = {hits: 0, misses: 0, evictions: 0};
+    }
+
+    /**
+     * Sets a value for a key, and marks its entry as used. If reached max capacity, removes the expired entries first,
+     * and evicts an entry if none expired.
+     * @param key {*} The key of the entry.
+     * @param value {*} The value of the entry.
+     * @param ttl {number|Infinity} The time to live of the entry, defaults to this cache's ttl.
+     * @return {LRUCache} This cache.
+     */
+    set(key, value, ttl = this.ttl) {
+        const expires = this.clock() + ttl;
+        const node = this._map.get(key);
+        if (node) {
+            this._expiring += LRUCache._expires(expires) - LRUCache._expires(node.value.expires);
+            Object.assign(node.value, {value, expires});
+            this._map.set(key, this._touch(node));
+        } else if (this.capacity > 0) {
+            this._fit(this.capacity - 1);
+            this._expiring += LRUCache._expires(expires);
+            this._map.set(key, this._insert({key, value, expires}));
+        }
+        return this;
+    }
+
+    /**
+     * Returns the JSON representation of this cache, used by JSON.stringify. Lists the entries which did not expire,
+     * from the next to be evicted to the next to be kept, so that setting them in order restores their recency.
+     * Expiry times are in clock units, null for entries which never expire.
+     * @return {{class: string, capacity: number, ttl: number, items: Object[]}} JSON representation of this cache.
+     */
+    toJSON() {
+        const now = this.clock();
+        const items = Array.from(this._nodes()).filter(node => node.value.expires > now).map(node => ({...node.value}));
+        return {class: "LRUCache", capacity: this.capacity, ttl: this.ttl, items: items.reverse()};
+    }
+
+    /**
+     * @return {string} String representation of this cache.
+     * @override
+     */
+    toString() {
+        return Array.from(this.entries(), ([key, value]) => `${key}=${value}`).toString();
+    }
+
+    /**
+     * @return {Generator<Array>} A new Iterator object that contains the key/value pairs of entries which did not
+     * expire, from the next to be kept to the next to be evicted.
+     */
+    * entries() {
+        const now = this.clock();
+        for (const node of this._nodes()) {
+            if (node.value.expires > now) {
+                yield [node.value.key, node.value.value];
+            }
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the keys of entries which did not expire.
+     */
+    * keys() {
+        for (const [key] of this.entries()) {
+            yield key;
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values of entries which did not expire.
+     */
+    * values() {
+        for (const [, value] of this.entries()) {
+            yield value;
+        }
+    }
+
+    /**
+     * Specifies the default iterator for cache.
+     * @return {Generator} A new Iterator object that contains the key/value pairs of entries which did not expire.
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * @return {Array} The keys and values of entries which did not expire, flattened in iteration order. Compared and
+     * hashed by equals and hashCode.
+     * @protected
+     */
+    _elements() {
+        return Array.from(this.entries()).flat();
+    }
+
+    /**
+     * Removes an entry, counts the eviction and calls onEvict.
+     * @param node {LinkedListNode} The node holding the entry.
+     * @param reason {string} Eviction reason ["capacity", "expired"].
+     * @private
+     */
+    _evict(node, reason) {
+        const {key, value} = node.value;
+        this._remove(node);
+        this._map.delete(key);
+        this._expiring -= LRUCache._expires(node.value.expires);
+        this._stats.evictions++;
+        this.onEvict && this.onEvict(key, value, reason);
+    }
+
+    /**
+     * Finds the node of a key, and evicts it if expired.
+     * @param key {*} The key of the entry.
+     * @return {LinkedListNode|undefined} The node if found and did not expire, undefined otherwise.
+     * @protected
+     */
+    _find(key) {
+        const node = this._map.get(key);
+        if (node && node.value.expires <= this.clock()) {
+            this._evict(node, "expired");
+            return undefined;
+        }
+        return node;
+    }
+
+    /**
+     * Removes entries until this cache holds at most maxSize entries. Removes the expired entries first (reported as
+     * "expired"), then evicts the next entries to be evicted (reported as "capacity").
+     * @param maxSize {number} The number of entries to keep at most.
+     * @private
+     */
+    _fit(maxSize) {
+        if (this._map.size > maxSize && this._expiring > 0) {
+            this.prune();
+        }
+        while (this._map.size > maxSize) {
+            this._evict(this._victim(), "capacity");
+        }
+    }
+
+    /**
+     * Stores a new entry, as the most recently used.
+     * @param entry {{key: *, value: *, expires: number}} The entry to store.
+     * @return {LinkedListNode} The node holding the entry.
+     * @protected
+     */
+    _insert(entry) {
+        this._list.unshift(entry);
+        return this._list.head;
+    }
+
+    /**
+     * @return {Iterable<LinkedListNode>} The nodes of all entries, from the next to be kept to the next to be evicted.
+     * @protected
+     */
+    _nodes() {
+        return Array.from(this._list.traverse(), ([node]) => node);
+    }
+
+    /**
+     * Removes the node of an entry from the store. Does not update the key map.
+     * @param node {LinkedListNode} The node holding the entry.
+     * @protected
+     */
+    _remove(node) {
+        this._list.removeByNode(node);
+    }
+
+    /**
+     * Marks an entry as used.
+     * @param node {LinkedListNode} The node holding the entry.
+     * @return {LinkedListNode} The node now holding the entry.
+     * @protected
+     */
+    _touch(node) {
+        return this._list.moveToFront(node);
+    }
+
+    /**
+     * @return {LinkedListNode} The node of the next entry to be evicted (the least recently used).
+     * @protected
+     */
+    _victim() {
+        return this._list.tail;
+    }
+
+    /**
+     * Restores this cache's settings and entries from its JSON representation. Skips entries which expired since.
+     * @param json {Object} The parsed JSON representation.
+     * @return {LRUCache} This cache.
+     * @protected
+     */
+    _restore(json) {
+        this.ttl = isInitialized(json.ttl) ? json.ttl : Infinity;
+        const now = this.clock();
+        for (const {key, value, expires} of json.items) {
+            const ttl = isInitialized(expires) ? expires - now : Infinity;
+            ttl > 0 && this.set(key, value, ttl);
+        }
+        return this;
+    }
+
+    /**
+     * @param expires {number} The expiry time of an entry.
+     * @return {number} 1 if the entry has a finite time to live, 0 otherwise.
+     * @private
+     */
+    static _expires(expires) {
+        return expires < Infinity ? 1 : 0;
+    }
+
+    /**
+     * Creates a new cache instance from an iterable of key/value pairs. Later pairs are the more recently used.
+     * @param entries {Iterable<Array>} Key/value pairs to set to the cache.
+     * @param capacity {number} The max number of entries in the cache, default Infinity.
+     * @return {LRUCache} A new cache instance.
+     */
+    static from(entries, capacity = Infinity) {
+        const cache = new LRUCache(capacity);
+        for (const [key, value] of entries) {
+            cache.set(key, value);
+        }
+        return cache;
+    }
+
+    /**
+     * Creates a new cache instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {LRUCache} A new cache instance.
+     * @throws {TypeError} If json does not represent an LRU cache.
+     */
+    static fromJSON(json) {
+        const object = parseJSON(json, "LRUCache");
+        return new LRUCache(isInitialized(object.capacity) ? object.capacity : Infinity)._restore(object);
+    }
+}
+
+export default LRUCache;
\ No newline at end of file
@@ -0,0 +1,96 @@
+import {getArrayType, getType, getTypeName, isInitialized, isType, parseJSON, typeFromJSON} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+
+/**
+ * Creates a type safe extension of a cache class, which validates the type of its values. Shared by the type safe
+ * caches, which differ only by the cache they extend.
+ * @example
+ * class TypeSafeLRUCache extends TypeSafeCache(LRUCache, "TypeSafeLRUCache") {}
+ * @param Cache {Function} The cache class to extend, LRUCache or one of its subclasses.
+ * @param className {string} The name of the extending class, used in its JSON representation.
+ * @return {Function} A class which extends Cache.
+ */
+export default function TypeSafeCache(Cache, className) {
+    return class extends Cache {
+        /**
+         * Sets this cache's type and capacity.
+         * @param type {string|Function|TypeDescriptor} Type to use for this cache's values.
+         * @param capacity {number} The max number of entries in this cache, default Infinity.
+         * @template T
+         */
+        constructor(type, capacity = Infinity) {
+            super(capacity);
+            /**
+             * This cache's values type.
+             * @type {string|Function|TypeDescriptor}
+             */
+            this.type = type;
+        }
+
+        /**
+         * Sets a value of type <T> for a key, and marks its entry as used. If reached max capacity, removes the
+         * expired entries first, and evicts an entry if none expired.
+         * @param key {*} The key of the entry.
+         * @param value {T} The value of the entry.
+         * @param ttl {number|Infinity} The time to live of the entry, defaults to this cache's ttl.
+         * @return {Cache} This cache.
+         * @throws {ErrorTypeSafe} If value is not of type <T>.
+         * @override
+         */
+        set(key, value, ttl = this.ttl) {
+            if (isType(value, this.type)) {
+                return super.set(key, value, ttl);
+            } else {
+                throw new ErrorTypeSafe("assign", value, this.type);
+            }
+        }
+
+        /**
+         * @return {Object} JSON representation of this cache, including its values type name.
+         * @override
+         */
+        toJSON() {
+            return Object.assign(super.toJSON(), {class: className, type: getTypeName(this.type)});
+        }
+
+        /**
+         * Creates a new type safe cache instance from an iterable of key/value pairs, whose values are of the same
+         * type.
+         * @param entries {Iterable<Array>} Key/value pairs to set to the cache.
+         * @param capacity {number} The max number of entries in the cache, default Infinity.
+         * @return {Cache} A new cache instance, of the class it is called on.
+         * @throws {ErrorTypeSafe} If some values are not of the same type.
+         * @override
+         */
+        static from(entries, capacity = Infinity) {
+            const pairs = Array.from(entries);
+            const values = pairs.map(([, value]) => value);
+            const type = getArrayType(values);
+            if (isInitialized(type)) {
+                const cache = new this(type, capacity);
+                for (const [key, value] of pairs) {
+                    cache.set(key, value);
+                }
+                return cache;
+            } else {
+                throw new ErrorTypeSafe("initialize", values, getType(values[0]));
+            }
+        }
+
+        /**
+         * Creates a new type safe cache instance from its JSON representation, as returned by toJSON.
+         * @param json {string|Object} A JSON string, or an already parsed representation.
+         * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+         * themselves. Type strings from TYPE are resolved without it.
+         * @return {Cache} A new cache instance, of the class it is called on.
+         * @throws {TypeError} If json does not represent this cache class, or its type is unknown.
+         * @throws {ErrorTypeSafe} If some values are not of the type.
+         * @override
+         */
+        static fromJSON(json, options = {}) {
+            const object = parseJSON(json, className);
+            const capacity = isInitialized(object.capacity) ? object.capacity : Infinity;
+            return new this(typeFromJSON(object.type, options.types), capacity)._restore(object);
+        }
+    };
+}
\ No newline at end of file
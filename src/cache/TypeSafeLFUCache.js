@@ -0,0 +1,11 @@
+import LFUCache from "./LFUCache";
+import TypeSafeCache from "./TypeSafeCache";
+
+/**
+ * A type safe extension of LFUCache. Implementation of a Least Frequently Used (LFU) cache, which validates the type of
+ * its values, see TypeSafeCache.
+ * @extends {LFUCache}
+ */
+class TypeSafeLFUCache extends TypeSafeCache(LFUCache, "TypeSafeLFUCache") {}
+
+export default TypeSafeLFUCache;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import LRUCache from "./LRUCache";
+import TypeSafeCache from "./TypeSafeCache";
+
+/**
+ * A type safe extension of LRUCache. Implementation of a Least Recently Used (LRU) cache, which validates the type of
+ * its values, see TypeSafeCache.
+ * @extends {LRUCache}
+ */
+class TypeSafeLRUCache extends TypeSafeCache(LRUCache, "TypeSafeLRUCache") {}
+
+export default TypeSafeLRUCache;
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Notifies the subscribers of an observable collection about its changes, and lets interceptors veto changes before
+ * they are applied. A collection creates its emitter once it is first observed, so collections which are not observed
+ * do not build change records.
+ * Each change is described by a frozen record: {type, index, values, oldValues}, where type is one of CHANGE values,
+ * index is the position of the first changed element (omitted for sets), values are the added, removed or new values,
+ * and oldValues are the replaced values (set and sort only).
+ */
+class ChangeEmitter {
+    /**
+     * Initializes this emitter's listeners and interceptors.
+     */
+    constructor() {
+        /**
+         * Called with an array of change records, after the changes were applied.
+         * @type {Set<Function>}
+         * @private
+         */
+        this._listeners = new Set();
+        /**
+         * Called with each change record before the change is applied. Return false to veto the change.
+         * @type {Set<Function>}
+         * @private
+         */
+        this._interceptors = new Set();
+        /**
+         * The records collected during a batch, null if not in a batch.
+         * @type {Object[]|null}
+         * @private
+         */
+        this._pending = null;
+    }
+
+    /**
+     * Returns true if this emitter has listeners or interceptors, false otherwise.
+     * @return {boolean}
+     * @type {boolean}
+     */
+    get observed() {
+        return this._listeners.size > 0 || this._interceptors.size > 0;
+    }
+
+    /**
+     * Applies a change. If observed, creates its record, asks the interceptors first and notifies the listeners after.
+     * @param createRecord {Function} Returns the change record, called only if observed.
+     * @param apply {Function} Applies the change, and returns the result of the changing method.
+     * @param vetoed {*} The result to return if the change was vetoed.
+     * @return {*} The result of apply, or vetoed if an interceptor vetoed the change.
+     */
+    apply(createRecord, apply, vetoed = undefined) {
+        return ChangeEmitter.applyAll([[this, createRecord]], apply, vetoed);
+    }
+
+    /**
+     * Applies several changes, and notifies the listeners once with all of their records. Nested batches are merged
+     * into the outermost batch.
+     * @param callback {Function} Applies the changes.
+     * @return {*} The result of callback.
+     */
+    batch(callback) {
+        if (this._pending !== null) {
+            return callback();
+        }
+        this._pending = [];
+        try {
+            return callback();
+        } finally {
+            const records = this._pending;
+            this._pending = null;
+            records.length > 0 && this._notify(records);
+        }
+    }
+
+    /**
+     * Adds an interceptor, which is called with each change record before the change is applied.
+     * @param interceptor {Function} Receives a change record, returns false to veto the change.
+     * @return {Function} Removes the interceptor.
+     */
+    intercept(interceptor) {
+        this._interceptors.add(interceptor);
+        return () => this._interceptors.delete(interceptor);
+    }
+
+    /**
+     * Adds a listener, which is called with an array of change records after changes are applied. A single change
+     * yields a single record, and a batch yields all of its records at once.
+     * @param listener {Function} Receives an array of change records.
+     * @return {Function} Removes the listener.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * Asks the interceptors about a change.
+     * @param record {Object} The change record.
+     * @return {boolean} True if no interceptor vetoed the change, false otherwise.
+     * @private
+     */
+    _allows(record) {
+        return [...this._interceptors].every(interceptor => interceptor(record) !== false);
+    }
+
+    /**
+     * Notifies the listeners about an applied change, or collects its record if in a batch.
+     * @param record {Object} The change record.
+     * @private
+     */
+    _emit(record) {
+        if (this._pending !== null) {
+            this._pending.push(record);
+        } else {
+            this._notify([record]);
+        }
+    }
+
+    /**
+     * Calls all listeners with change records.
+     * @param records {Object[]} The change records.
+     * @private
+     */
+    _notify(records) {
+        for (const listener of [...this._listeners]) {
+            listener(records);
+        }
+    }
+
+    /**
+     * Applies a change described by several records at once, e.g. moving values from one collection to another, or
+     * replacing values (a removal and an addition). All records of observed emitters are created and intercepted
+     * before the change is applied, so the change is applied and notified as a whole, or vetoed as a whole.
+     * @param changes {Array<Array>} [emitter, createRecord] pairs, where emitter is a ChangeEmitter or undefined for a
+     * collection which is not observed, and createRecord returns its change record.
+     * @param apply {Function} Applies the change, and returns the result of the changing method.
+     * @param vetoed {*} The result to return if the change was vetoed.
+     * @return {*} The result of apply, or vetoed if an interceptor vetoed the change.
+     */
+    static applyAll(changes, apply, vetoed = undefined) {
+        const observed = changes.filter(([emitter]) => emitter && emitter.observed)
+            .map(([emitter, createRecord]) => [emitter, Object.freeze(createRecord())]);
+        if (!observed.every(([emitter, record]) => emitter._allows(record))) {
+            return vetoed;
+        }
+        const result = apply();
+        observed.forEach(([emitter, record]) => emitter._emit(record));
+        return result;
+    }
+}
+
+export default ChangeEmitter;
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Describes a type which type safe collections validate their items against.
+ * Created by the type factories in common/utils (instanceOf, predicate, union, nullable), or implicitly when a
+ * collection is given a type string or a constructor.
+ */
+class TypeDescriptor {
+    /**
+     * Sets this descriptor's name, test and validation.
+     * @param name {string} Readable name of the described type, used in error messages.
+     * @param test {Function} Receives a subject, returns true if subject is of the described type, false otherwise.
+     * @param validate {Function} Receives a subject and its path, returns the failure that made the test fail, or
+     * undefined. If omitted, the failure is reported at the subject's own path.
+     */
+    constructor(name, test, validate = undefined) {
+        /**
+         * This descriptor's name.
+         * @type {string}
+         */
+        this.name = name;
+        /**
+         * This descriptor's test function.
+         * @type {Function}
+         * @private
+         */
+        this._test = test;
+        /**
+         * This descriptor's validation function.
+         * @type {Function|undefined}
+         * @private
+         */
+        this._validate = validate;
+    }
+
+    /**
+     * Tests whether a subject is of the described type.
+     * @param subject {*} Test subject.
+     * @return {boolean} True if subject passed test, false otherwise.
+     */
+    test(subject) {
+        return this._test(subject) === true;
+    }
+
+    /**
+     * Validates a subject, and locates the nested value that failed the test if any.
+     * @param subject {*} Validation subject.
+     * @param path {string} Path of subject, used to report the failing value's location.
+     * @return {{path: string, expected: string, value: *}|undefined} The failing value, its path and the name of the
+     * expected type if subject is not of the described type, undefined otherwise.
+     */
+    validate(subject, path = "") {
+        if (this._validate) {
+            return this._validate(subject, path);
+        }
+        return this.test(subject) ? undefined : {path, expected: this.name, value: subject};
+    }
+
+    /**
+     * @return {string} String representation of this descriptor.
+     * @override
+     */
+    toString() {
+        return this.name;
+    }
+}
+
+export default TypeDescriptor;
\ No newline at end of file
@@ -0,0 +1,280 @@
+import TypeSafeArray from "../array/TypeSafeArray";
+import TypeSafeReadonlyArray from "../array/TypeSafeReadonlyArray";
+import TypeSafeSortedArray from "../array/TypeSafeSortedArray";
+import TypeSafeDeque from "../deque/TypeSafeDeque";
+import ImmutableArray from "../immutable/ImmutableArray";
+import TypeSafeLinkedList from "../linked-list/TypeSafeLinkedList";
+import TypeSafePriorityQueue from "../queue/TypeSafePriorityQueue";
+import TypeSafeQueue from "../queue/TypeSafeQueue";
+import TypeSafeSet from "../set/TypeSafeSet";
+import TypeSafeStack from "../stack/TypeSafeStack";
+import {COMPARE, END, EQUALITY, OVERFLOW, TYPE, compareFromJSON, isInitialized} from "./utils";
+
+/**
+ * Binary format version, written after the magic bytes. Bumped on incompatible format changes.
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * Magic bytes ("DAST") which start every encoded collection.
+ * @type {number[]}
+ */
+const MAGIC = [0x44, 0x41, 0x53, 0x54];
+
+/**
+ * The header length in bytes. Keeps the items aligned to 8 bytes.
+ * Layout: magic (4), version (1), kind (1), element type (1), compare (1), policy (1), equality (1), reserved (2),
+ * item count (uint32), capacity (float64).
+ * @type {number}
+ */
+const HEADER_LENGTH = 24;
+
+/**
+ * Marks a header byte which is not set, e.g. the compare of an unsorted collection or a custom compare function.
+ * @type {number}
+ */
+const NONE = 0xFF;
+
+/**
+ * The collection classes which can be encoded, by their kind id. Ids are part of the format, append only.
+ * @type {Function[]}
+ */
+const KINDS = [
+    TypeSafeReadonlyArray, TypeSafeArray, TypeSafeSortedArray, ImmutableArray, TypeSafeLinkedList, TypeSafeQueue,
+    TypeSafeStack, TypeSafeDeque, TypeSafePriorityQueue, TypeSafeSet
+];
+
+/**
+ * The element types which can be encoded, by their type id.
+ * @type {string[]}
+ */
+const TYPES = [TYPE.NUMBER, TYPE.BIGINT, TYPE.STRING, TYPE.BOOLEAN];
+
+/**
+ * The compare functions which can be encoded by name, by their compare id.
+ * @type {string[]}
+ */
+const COMPARES = Object.keys(COMPARE);
+
+/**
+ * The overflow policies and eviction ends which can be encoded, by their policy id.
+ * @type {string[]}
+ */
+const POLICIES = [...Object.values(OVERFLOW), ...Object.values(END)];
+
+/**
+ * The equality modes of sorted arrays, by their equality id. Data encoded before the equality byte was written holds
+ * 0 in its place, i.e. EQUALITY.IDENTITY, the default.
+ * @type {string[]}
+ */
+const EQUALITIES = Object.values(EQUALITY);
+
+/**
+ * Encodes items of each type into bytes.
+ * @type {Object<string, Function>}
+ */
+const ENCODERS = {
+    [TYPE.NUMBER]: items => {
+        const bytes = new Uint8Array(items.length * 8);
+        const view = new DataView(bytes.buffer);
+        items.forEach((item, index) => view.setFloat64(index * 8, item, true));
+        return bytes;
+    },
+    [TYPE.BIGINT]: items => {
+        // Each bigint is written as a sign byte, a uint32 byte length and its magnitude in little endian order.
+        const magnitudes = items.map(item => {
+            const magnitude = [];
+            for (let rest = item < 0n ? -item : item; rest > 0n; rest >>= 8n) {
+                magnitude.push(Number(rest & 0xFFn));
+            }
+            return magnitude;
+        });
+        return concatBytes(magnitudes, (view, offset, magnitude, index) => {
+            view.setUint8(offset, items[index] < 0n ? 1 : 0);
+            view.setUint32(offset + 1, magnitude.length, true);
+            new Uint8Array(view.buffer, offset + 5, magnitude.length).set(magnitude);
+        }, 5);
+    },
+    [TYPE.STRING]: items => {
+        const encoder = new TextEncoder();
+        const strings = items.map(item => encoder.encode(item));
+        return concatBytes(strings, (view, offset, string) => {
+            view.setUint32(offset, string.length, true);
+            new Uint8Array(view.buffer, offset + 4, string.length).set(string);
+        }, 4);
+    },
+    [TYPE.BOOLEAN]: items => {
+        const bytes = new Uint8Array(Math.ceil(items.length / 8));
+        items.forEach((item, index) => item && (bytes[index >> 3] |= 1 << (index & 7)));
+        return bytes;
+    }
+};
+
+/**
+ * Decodes items of each type from bytes. Checks that the bytes hold every item and length prefix before reading it.
+ * @type {Object<string, Function>}
+ */
+const DECODERS = {
+    [TYPE.NUMBER]: (view, offset, count) => {
+        checkBytes(view, offset, count * 8);
+        const items = new Array(count);
+        for (let index = 0; index < count; index++) {
+            items[index] = view.getFloat64(offset + index * 8, true);
+        }
+        return items;
+    },
+    [TYPE.BIGINT]: (view, offset, count) => {
+        checkBytes(view, offset, count * 5);
+        const items = new Array(count);
+        for (let index = 0; index < count; index++) {
+            checkBytes(view, offset, 5);
+            const length = view.getUint32(offset + 1, true);
+            checkBytes(view, offset + 5, length);
+            let item = 0n;
+            for (let byte = length - 1; byte >= 0; byte--) {
+                item = (item << 8n) | BigInt(view.getUint8(offset + 5 + byte));
+            }
+            items[index] = view.getUint8(offset) ? -item : item;
+            offset += 5 + length;
+        }
+        return items;
+    },
+    [TYPE.STRING]: (view, offset, count) => {
+        checkBytes(view, offset, count * 4);
+        const decoder = new TextDecoder();
+        const items = new Array(count);
+        for (let index = 0; index < count; index++) {
+            checkBytes(view, offset, 4);
+            const length = view.getUint32(offset, true);
+            checkBytes(view, offset + 4, length);
+            items[index] = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 4, length));
+            offset += 4 + length;
+        }
+        return items;
+    },
+    [TYPE.BOOLEAN]: (view, offset, count) => {
+        checkBytes(view, offset, Math.ceil(count / 8));
+        const items = new Array(count);
+        for (let index = 0; index < count; index++) {
+            items[index] = (view.getUint8(offset + (index >> 3)) & (1 << (index & 7))) !== 0;
+        }
+        return items;
+    }
+};
+
+/**
+ * Encodes a type safe collection of numbers, bigints, strings or booleans into a compact binary representation.
+ * The header holds the collection kind, element type, capacity and settings, followed by the items in the order of
+ * the collection's JSON representation. Numbers are stored as float64, bigints and strings with their byte length,
+ * and booleans as bits.
+ * @example
+ * const bytes = encode(array);
+ * worker.postMessage(bytes, [bytes.buffer]);
+ * @param collection {TypeSafeReadonlyArray|TypeSafeLinkedList|TypeSafeQueue|TypeSafeStack|TypeSafeDeque|
+ * TypeSafePriorityQueue|TypeSafeSet} The collection to encode.
+ * @return {Uint8Array} The encoded collection.
+ * @throws {TypeError} If the collection's class or type can not be encoded.
+ */
+export function encode(collection) {
+    if (!isEncodable(collection)) {
+        throw new TypeError("Unable to encode: expected a type safe collection of Number, BigInt, String or Boolean.");
+    }
+    const kind = KINDS.indexOf(collection.constructor);
+    const type = TYPES.indexOf(collection.type);
+    const json = collection.toJSON();
+    const compare = isInitialized(json.compare) ? COMPARES.indexOf(json.compare) : NONE;
+    const policy = POLICIES.indexOf(json.overflow || json.evictionEnd);
+    const equality = EQUALITIES.indexOf(json.equality);
+    const payload = ENCODERS[collection.type](json.items);
+    const bytes = new Uint8Array(HEADER_LENGTH + payload.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set(MAGIC);
+    bytes.set([
+        VERSION, kind, type, compare, policy >= 0 ? policy : NONE, equality >= 0 ? equality : NONE
+    ], MAGIC.length);
+    view.setUint32(12, json.items.length, true);
+    view.setFloat64(16, isInitialized(json.capacity) ? json.capacity : Infinity, true);
+    bytes.set(payload, HEADER_LENGTH);
+    return bytes;
+}
+
+/**
+ * Decodes a collection encoded by encode, into an instance of its original class. The items are trusted, and are
+ * not validated again.
+ * @param data {ArrayBuffer|ArrayBufferView} The encoded collection.
+ * @param options {{compare: Function}} compare is the custom compare function of a sorted collection, required if
+ * one was used.
+ * @return {TypeSafeReadonlyArray|TypeSafeLinkedList|TypeSafeQueue|TypeSafeStack|TypeSafeDeque|
+ * TypeSafePriorityQueue|TypeSafeSet} A new collection instance.
+ * @throws {TypeError} If data is not an encoded collection, its items are truncated, or its compare function is
+ * unknown.
+ */
+export function decode(data, options = {}) {
+    const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < HEADER_LENGTH || MAGIC.some((byte, index) => bytes[index] !== byte)
+        || bytes[4] !== VERSION || !KINDS[bytes[5]] || !TYPES[bytes[6]]) {
+        throw new TypeError("Invalid binary data: expected an encoded collection.");
+    }
+    const Class = KINDS[bytes[5]];
+    const type = TYPES[bytes[6]];
+    const items = DECODERS[type](view, HEADER_LENGTH, view.getUint32(12, true));
+    let collection;
+    if (Class === TypeSafeSortedArray || Class === TypeSafePriorityQueue) {
+        const compare = compareFromJSON(bytes[7] === NONE ? null : COMPARES[bytes[7]], options.compare);
+        collection = new Class(type, compare);
+    } else {
+        collection = new Class(type);
+    }
+    if (bytes[9] !== NONE && typeof collection.setEquality === "function") {
+        collection.setEquality(EQUALITIES[bytes[9]]);
+    }
+    if (typeof collection._restore === "function") {
+        const policy = bytes[8] === NONE ? undefined : POLICIES[bytes[8]];
+        collection._restore({capacity: view.getFloat64(16, true), overflow: policy, evictionEnd: policy});
+    }
+    return collection._load(items);
+}
+
+/**
+ * @param collection {*} The collection to check.
+ * @return {boolean} True if encode supports the collection's class and type, false otherwise.
+ */
+export function isEncodable(collection) {
+    return isInitialized(collection) && KINDS.includes(collection.constructor) && TYPES.includes(collection.type);
+}
+
+/**
+ * Writes variable length chunks into one byte array, each after a fixed length prefix.
+ * @param chunks {Array<Uint8Array|number[]>} The chunks to write.
+ * @param write {Function} Writes a chunk and its prefix, receives a view, an offset, the chunk and its index.
+ * @param prefixLength {number} The prefix length of each chunk, in bytes.
+ * @return {Uint8Array} The written bytes.
+ */
+function concatBytes(chunks, write, prefixLength) {
+    const length = chunks.reduce((sum, chunk) => sum + prefixLength + chunk.length, 0);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    chunks.forEach((chunk, index) => {
+        write(view, offset, chunk, index);
+        offset += prefixLength + chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Checks that bytes remain to be read, before reading them from a view.
+ * @param view {DataView} The view to read from.
+ * @param offset {number} The offset to read from, in bytes.
+ * @param length {number} The number of bytes to read.
+ * @throws {TypeError} If the view ends before offset + length.
+ */
+function checkBytes(view, offset, length) {
+    if (offset + length > view.byteLength) {
+        throw new TypeError("Invalid binary data: the items are truncated.");
+    }
+}
\ No newline at end of file
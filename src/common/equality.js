@@ -0,0 +1,189 @@
+import {TYPE, getType, getTypeName, unwrapView} from "./utils";
+
+/**
+ * Compares two values. Collections are equal if they are of the same class and type, and hold equal elements in the
+ * same order. The order is ignored for unordered collections: sets, maps (whose values are compared by key) and
+ * collections which define _equalTo. An ordered collection and an array, or two arrays, are equal if they hold equal
+ * elements in the same order, while an unordered collection is never equal to an array, since their hash codes would
+ * differ. Plain objects are equal if they have the same keys, with equal values.
+ * Elements are compared with SameValueZero, as in includes, unless options.deep is set.
+ * A collection may define how it is compared and hashed, with protected _equalTo(other, compare) and _hashCode()
+ * methods, e.g. collections with their own equality of elements. A read-only view is compared as the collection it
+ * views.
+ * @example
+ * equals(new LinkedList(1, 2), new LinkedList(1, 2)) // true
+ * equals(new Queue(new Stack(1)), new Queue(new Stack(1)), {deep: true}) // true
+ * equals(new Set([1, 2]), [1, 2]) // false
+ * @param a {*} The first value.
+ * @param b {*} The second value.
+ * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements,
+ * instead of by reference.
+ * @return {boolean} True if the values are equal, false otherwise.
+ */
+export function equals(a, b, options = {}) {
+    a = unwrapView(a);
+    b = unwrapView(b);
+    if (sameValueZero(a, b)) {
+        return true;
+    }
+    const compare = options.deep ? (x, y) => equals(x, y, options) : sameValueZero;
+    if (isCollection(a) && isCollection(b)) {
+        if (Array.isArray(a) || Array.isArray(b)) {
+            if (isUnordered(a) || isUnordered(b)) {
+                return false;
+            }
+        } else if (a.constructor !== b.constructor || typeOf(a) !== typeOf(b)) {
+            return false;
+        } else if (typeof a._equalTo === "function") {
+            return a._equalTo(b, compare);
+        } else if (a instanceof Map) {
+            return a.size === b.size && Array.from(a).every(([key, value]) => b.has(key) && compare(value, b.get(key)));
+        }
+        const first = elementsOf(a);
+        const second = elementsOf(b);
+        if (first.length !== second.length) {
+            return false;
+        } else if (a instanceof Set) {
+            return unorderedEquals(first, second, compare);
+        }
+        return first.every((item, index) => compare(item, second[index]));
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && compare(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Computes a hash code of a value, which is stable across runs. Values which are equal by equals, with or without
+ * options.deep, have the same hash code. Collections and arrays are hashed by their elements, in order unless they
+ * are sets, maps by their entries in any order, plain objects by their keys and values, and primitives by their
+ * string representation.
+ * A collection's hash code changes when it is modified, so it should not be modified while used as a key. A read-only
+ * view is hashed as the collection it views.
+ * @param value {*} The value to hash.
+ * @return {number} A 32-bit integer hash code.
+ */
+export function hashCode(value) {
+    value = unwrapView(value);
+    if (isCollection(value) && typeof value._hashCode === "function") {
+        return value._hashCode();
+    } else if (value instanceof Map) {
+        return Array.from(value).reduce((hash, [key, item]) => (hash + (hashCode(key) ^ hashCode(item))) | 0, 0);
+    } else if (isCollection(value)) {
+        const hashes = elementsOf(value).map(hashCode);
+        return value instanceof Set
+            ? hashes.reduce((hash, item) => (hash + item) | 0, 0)
+            : hashes.reduce((hash, item) => (Math.imul(31, hash) + item) | 0, 1);
+    } else if (isPlainObject(value)) {
+        return Object.keys(value).reduce((hash, key) => (hash + (hashString(key) ^ hashCode(value[key]))) | 0, 0);
+    } else if (isInstance(value)) {
+        // Other objects are only equal to themselves, and have no stable identity to hash.
+        return hashString(getType(value));
+    }
+    return hashString(String(value));
+}
+
+/**
+ * @param a {*} The first value.
+ * @param b {*} The second value.
+ * @return {boolean} True if the values are equal by SameValueZero (i.e. === where NaN equals NaN), false otherwise.
+ */
+function sameValueZero(a, b) {
+    return a === b || (a !== a && b !== b);
+}
+
+/**
+ * @param subject {*} Test subject.
+ * @return {boolean} True if subject is an array, or an iterable object (e.g. a collection, Set or Map).
+ */
+function isCollection(subject) {
+    return Array.isArray(subject) || (isInstance(subject) && typeof subject[Symbol.iterator] === "function");
+}
+
+/**
+ * @param collection {Iterable} Test subject.
+ * @return {boolean} True if collection is compared and hashed ignoring order, i.e. it is a set, a map, or defines its
+ * own _equalTo, false otherwise.
+ */
+function isUnordered(collection) {
+    return collection instanceof Set || collection instanceof Map || typeof collection._equalTo === "function";
+}
+
+/**
+ * @param subject {*} Test subject.
+ * @return {boolean} True if subject is an object or a function, false if it is a primitive.
+ */
+function isInstance(subject) {
+    return subject !== null && (typeof subject === "object" || typeof subject === "function");
+}
+
+/**
+ * @param subject {*} Test subject.
+ * @return {boolean} True if subject is an object literal or has a null prototype, false otherwise.
+ */
+function isPlainObject(subject) {
+    if (getType(subject) !== TYPE.OBJECT) {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(subject);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * @param collection {Iterable} The collection to get the type of.
+ * @return {string|undefined} The type name of a type safe collection, or its key and value type names, undefined for
+ * other collections.
+ */
+function typeOf(collection) {
+    if ("keyType" in collection) {
+        return `${getTypeName(collection.keyType)}, ${getTypeName(collection.valueType)}`;
+    }
+    return "type" in collection ? getTypeName(collection.type) : undefined;
+}
+
+/**
+ * Lists the elements of a collection, in iteration order. Keyed collections (e.g. caches) list their keys and values,
+ * flattened, with _elements.
+ * @param collection {Iterable} The collection to list.
+ * @return {Array} The collection's elements.
+ */
+function elementsOf(collection) {
+    if (typeof collection._elements === "function") {
+        return collection._elements();
+    }
+    return Array.from(collection);
+}
+
+/**
+ * Compares two lists of the same length, ignoring order. Elements are matched within buckets of equal hash codes.
+ * @param first {Array} The first list.
+ * @param second {Array} The second list.
+ * @param compare {Function} Compares two elements.
+ * @return {boolean} True if each element of first is matched by a distinct element of second, false otherwise.
+ */
+function unorderedEquals(first, second, compare) {
+    const buckets = new Map();
+    for (const item of second) {
+        const hash = hashCode(item);
+        buckets.has(hash) ? buckets.get(hash).push(item) : buckets.set(hash, [item]);
+    }
+    return first.every(item => {
+        const bucket = buckets.get(hashCode(item)) || [];
+        const index = bucket.findIndex(candidate => compare(item, candidate));
+        return index >= 0 && bucket.splice(index, 1).length > 0;
+    });
+}
+
+/**
+ * @param string {string} The string to hash.
+ * @return {number} A 32-bit integer hash code of the string.
+ */
+function hashString(string) {
+    let hash = 0;
+    for (let index = 0; index < string.length; index++) {
+        hash = (Math.imul(31, hash) + string.charCodeAt(index)) | 0;
+    }
+    return hash;
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+import TypeSafeArray from "../array/TypeSafeArray";
+import TypeSafeReadonlyArray from "../array/TypeSafeReadonlyArray";
+import TypeSafeSortedArray from "../array/TypeSafeSortedArray";
+import LFUCache from "../cache/LFUCache";
+import LRUCache from "../cache/LRUCache";
+import TypeSafeLFUCache from "../cache/TypeSafeLFUCache";
+import TypeSafeLRUCache from "../cache/TypeSafeLRUCache";
+import Deque from "../deque/Deque";
+import TypeSafeDeque from "../deque/TypeSafeDeque";
+import ImmutableArray from "../immutable/ImmutableArray";
+import PersistentQueue from "../immutable/PersistentQueue";
+import PersistentStack from "../immutable/PersistentStack";
+import LinkedList from "../linked-list/LinkedList";
+import TypeSafeLinkedList from "../linked-list/TypeSafeLinkedList";
+import HashMap from "../map/HashMap";
+import SortedMap from "../map/SortedMap";
+import TypeSafeHashMap from "../map/TypeSafeHashMap";
+import TypeSafeMap from "../map/TypeSafeMap";
+import CircularQueue from "../queue/CircularQueue";
+import PriorityQueue from "../queue/PriorityQueue";
+import Queue from "../queue/Queue";
+import TypeSafePriorityQueue from "../queue/TypeSafePriorityQueue";
+import TypeSafeQueue from "../queue/TypeSafeQueue";
+import HashSet from "../set/HashSet";
+import Multiset from "../set/Multiset";
+import SortedSet from "../set/SortedSet";
+import TypeSafeHashSet from "../set/TypeSafeHashSet";
+import TypeSafeMultiset from "../set/TypeSafeMultiset";
+import TypeSafeSet from "../set/TypeSafeSet";
+import Stack from "../stack/Stack";
+import TypeSafeStack from "../stack/TypeSafeStack";
+import {TYPE, getType} from "./utils";
+
+/**
+ * The collection classes which can be revived, by the class names written by their toJSON methods.
+ * @type {Object}
+ */
+export const CLASSES = {
+    CircularQueue, Deque, HashMap, HashSet, ImmutableArray, LFUCache, LinkedList, LRUCache, Multiset, PersistentQueue,
+    PersistentStack, PriorityQueue, Queue, SortedMap, SortedSet, Stack, TypeSafeArray, TypeSafeDeque, TypeSafeHashMap,
+    TypeSafeHashSet, TypeSafeLFUCache, TypeSafeLinkedList, TypeSafeLRUCache, TypeSafeMap, TypeSafeMultiset,
+    TypeSafePriorityQueue, TypeSafeQueue, TypeSafeReadonlyArray, TypeSafeSet, TypeSafeSortedArray, TypeSafeStack
+};
+
+/**
+ * Creates a JSON.parse reviver, which restores the exact class of each collection serialized by JSON.stringify,
+ * including collections nested in other collections. Only objects with the shape written by toJSON, a known class
+ * name and an items array, are revived, other objects with a class property are kept as they are.
+ * @example
+ * JSON.parse(localStorage.getItem("queue"), createReviver())
+ * @param options {{types: Object, compare: Function, equals: Function, hash: Function}} types maps the names of
+ * constructor and descriptor types to the types themselves. Collection classes are resolved without it. compare is
+ * the custom compare function of sorted collections, required if one was used. equals and hash are the options of
+ * hash collections, if not the default.
+ * @return {Function} A reviver function, to pass as the second argument of JSON.parse.
+ */
+export function createReviver(options = {}) {
+    const types = {...CLASSES, ...options.types};
+    return (key, value) => {
+        if (isSerialized(value)) {
+            return CLASSES[value.class].fromJSON(value, {...options, types});
+        }
+        return value;
+    };
+}
+
+/**
+ * @param value {*} Test subject.
+ * @return {boolean} True if value has the shape of a serialized collection, i.e. a known class name and an items
+ * array, false otherwise.
+ */
+function isSerialized(value) {
+    return getType(value) === TYPE.OBJECT && Object.prototype.hasOwnProperty.call(CLASSES, value.class)
+        && Array.isArray(value.items);
+}
+
+/**
+ * Parses a JSON string, and restores the exact class of each serialized collection.
+ * @param text {string} The JSON string to parse.
+ * @param options {{types: Object, compare: Function}} Revival options, see createReviver.
+ * @return {*} The parsed value.
+ */
+export function parse(text, options = {}) {
+    return JSON.parse(text, createReviver(options));
+}
\ No newline at end of file
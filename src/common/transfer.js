@@ -0,0 +1,112 @@
+import {decode, encode, isEncodable} from "./binary";
+import {CLASSES, createReviver} from "./reviver";
+import {TYPE, getType} from "./utils";
+
+/**
+ * The collection classes which can be packed.
+ * @type {Function[]}
+ */
+const PACKABLE = Object.values(CLASSES);
+
+/**
+ * Packs a collection into a structured clone safe payload, for postMessage to a Web Worker or a worker_threads
+ * worker, or for structuredClone. Class instances lose their prototype when cloned, so each collection is packed as
+ * its JSON representation, without stringifying it. Collections nested in collections, arrays and plain objects are
+ * packed as well.
+ * @example
+ * const payload = pack(array, {transfer: true});
+ * worker.postMessage(payload, transferList(payload));
+ * @param value {*} The collection, or a value holding collections, to pack.
+ * @param options {{transfer: boolean}} transfer packs collections supported by encode (type safe collections of
+ * numbers, bigints, strings or booleans) as binary data, whose buffers may be transferred without copying.
+ * @return {*} The packed payload. Use unpack to restore it on the other side.
+ */
+export function pack(value, options = {}) {
+    if (value && PACKABLE.includes(value.constructor)) {
+        if (options.transfer && isEncodable(value)) {
+            const name = Object.keys(CLASSES).find(key => CLASSES[key] === value.constructor);
+            return {class: name, binary: encode(value)};
+        }
+        return packValue(value.toJSON(), options);
+    }
+    return packValue(value, options);
+}
+
+/**
+ * Restores a payload packed by pack, into collections of the same classes, types and capacities.
+ * @param payload {*} The packed payload, as received by the worker or returned by structuredClone.
+ * @param options {{types: Object, compare: Function}} types maps the names of constructor and descriptor types to
+ * the types themselves. Type strings from TYPE are resolved without it. compare is the custom compare function of
+ * sorted collections, required if one was used.
+ * @return {*} The restored value.
+ * @throws {TypeError} If a collection's type or compare function is unknown.
+ */
+export function unpack(payload, options = {}) {
+    const reviver = createReviver(options);
+    const restore = value => {
+        if (Array.isArray(value)) {
+            return value.map(restore);
+        } else if (isPlainObject(value)) {
+            const object = mapObject(value, restore);
+            if (object.binary instanceof Uint8Array && Object.prototype.hasOwnProperty.call(CLASSES, object.class)) {
+                return decode(object.binary, options);
+            }
+            return reviver("", object);
+        }
+        return value;
+    };
+    return restore(payload);
+}
+
+/**
+ * Lists the buffers of a payload packed with the transfer option, to pass as the transfer list of postMessage or
+ * structuredClone. Transferred buffers are detached on the sending side, so the payload may not be used after.
+ * @param payload {*} The packed payload.
+ * @return {ArrayBuffer[]} The buffers of the binary packed collections.
+ */
+export function transferList(payload) {
+    if (Array.isArray(payload)) {
+        return payload.flatMap(transferList);
+    } else if (isPlainObject(payload)) {
+        return payload.binary instanceof Uint8Array
+            ? [payload.binary.buffer]
+            : Object.values(payload).flatMap(transferList);
+    }
+    return [];
+}
+
+/**
+ * Packs the collections nested in arrays and plain objects. Other values are left to the structured clone algorithm.
+ * @param value {*} The value to pack.
+ * @param options {{transfer: boolean}} Packing options, see pack.
+ * @return {*} The packed value.
+ */
+function packValue(value, options) {
+    if (Array.isArray(value)) {
+        return value.map(item => pack(item, options));
+    } else if (isPlainObject(value)) {
+        return mapObject(value, item => pack(item, options));
+    }
+    return value;
+}
+
+/**
+ * @param subject {*} Test subject.
+ * @return {boolean} True if subject is an object literal or has a null prototype, false otherwise.
+ */
+function isPlainObject(subject) {
+    if (getType(subject) !== TYPE.OBJECT) {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(subject);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * @param object {Object} The object to map.
+ * @param callback {Function} Produces a value of the new object, receives a value of object.
+ * @return {Object} A new object with the same keys, and the mapped values.
+ */
+function mapObject(object, callback) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, callback(value)]));
+}
\ No newline at end of file
@@ -1,12 +1,16 @@
 /**
  * @fileOverview Implementation of useful data-structures in vanilla JavaScript.
- * Linked list, stack, queue, sorted array and type safe extensions for these collections, plus array and set.
+ * Linked list, stack, queue, priority queue, deque, sorted array and type safe extensions for these collections,
+ * plus array and set.
  * @name js-dast
  * @version 1.1
  * @author Daniel Gropp
  * @copyright 2020
  */
 
+import TypeDescriptor from "./TypeDescriptor";
+import ErrorReadonly from "../error/ErrorReadonly";
+
 /**
  * Common types dictionary constant.
  * Keys: BOOLEAN, BIGINT, NUMBER, STRING, SYMBOL, UNDEFINED, NULL, OBJECT, ARRAY.
@@ -38,6 +42,52 @@ export const COMPARE = {
     STRING_DESCENDING: (a, b) => b.localeCompare(a)
 }
 
+/**
+ * Collection ends dictionary constant, used to specify an end of a double-ended collection.
+ * Keys: FRONT, BACK.
+ * @type {Object}
+ */
+export const END = {
+    FRONT: "front",
+    BACK: "back"
+};
+
+/**
+ * Capacity overflow policies dictionary constant, used to specify how a full collection handles new items.
+ * Keys: EVICT_OLDEST, EVICT_NEWEST, REJECT, DROP.
+ * @type {Object}
+ */
+export const OVERFLOW = {
+    EVICT_OLDEST: "evictOldest",
+    EVICT_NEWEST: "evictNewest",
+    REJECT: "reject",
+    DROP: "drop"
+};
+
+/**
+ * Change record types dictionary constant, used by observable collections to describe a change.
+ * Keys: ADD, REMOVE, SET, SORT, CLEAR.
+ * @type {Object}
+ */
+export const CHANGE = {
+    ADD: "add",
+    REMOVE: "remove",
+    SET: "set",
+    SORT: "sort",
+    CLEAR: "clear"
+};
+
+/**
+ * Equality modes dictionary constant, used by sorted collections to specify which elements match a searched value.
+ * IDENTITY matches the identical (===) elements, COMPARE matches the elements for which compare returns 0.
+ * Keys: IDENTITY, COMPARE.
+ * @type {Object}
+ */
+export const EQUALITY = {
+    IDENTITY: "identity",
+    COMPARE: "compare"
+};
+
 /**
  * @param subject {*} Subject to get type of.
  * @return {string} Subject type, converted to string.
@@ -58,11 +108,232 @@ export function getArrayType(array) {
 /**
  * Tests whether an item is of a certain type.
  * @param subject {*} Test subject.
- * @param type {string} Test type.
+ * @param type {string|Function|TypeDescriptor} Test type. A type string from TYPE, a constructor or a descriptor.
  * @return {boolean} True if subject item passed test, false otherwise.
  */
 export function isType(subject, type) {
-    return getType(subject) === type;
+    if (typeof type === "string") {
+        return getType(subject) === type;
+    }
+    return toTypeDescriptor(type).test(subject);
+}
+
+/**
+ * Tests whether all items in an array are of a certain type.
+ * @param array {Array} Test subjects.
+ * @param type {string|Function|TypeDescriptor} Test type. A type string from TYPE, a constructor or a descriptor.
+ * @return {boolean} True if all items passed test (or array is empty), false otherwise.
+ */
+export function isArrayOfType(array, type) {
+    const descriptor = toTypeDescriptor(type);
+    return array.every(item => descriptor.test(item));
+}
+
+/**
+ * The constructors of primitive wrappers, which are tested by their type tag, so that primitives pass, e.g. Number
+ * as TYPE.NUMBER.
+ * @type {Map<Function, string>}
+ */
+const WRAPPERS = new Map([
+    [Boolean, TYPE.BOOLEAN], [BigInt, TYPE.BIGINT], [Number, TYPE.NUMBER], [String, TYPE.STRING], [Symbol, TYPE.SYMBOL]
+]);
+
+/**
+ * Converts any supported type representation to a type descriptor.
+ * Type strings are tested by their Object.prototype.toString tag, constructors are tested with instanceof. The
+ * constructors of primitive wrappers (Boolean, BigInt, Number, String and Symbol) are tested as their type strings.
+ * @param type {string|Function|TypeDescriptor} Type to convert.
+ * @return {TypeDescriptor} The matching type descriptor.
+ * @throws {TypeError} If type is not a string, a constructor or a descriptor.
+ */
+export function toTypeDescriptor(type) {
+    if (type instanceof TypeDescriptor) {
+        return type;
+    }
+    switch (typeof type) {
+        case "string":
+            return new TypeDescriptor(type, subject => getType(subject) === type);
+        case "function":
+            return WRAPPERS.has(type) ? toTypeDescriptor(WRAPPERS.get(type)) : instanceOf(type);
+        default:
+            throw new TypeError(`Invalid type: ${type}. Expected a type string, a constructor or a TypeDescriptor.`);
+    }
+}
+
+/**
+ * @param type {string|Function|TypeDescriptor} Type to get name of.
+ * @return {string} Readable name of type.
+ */
+export function getTypeName(type) {
+    return typeof type === "function" ? type.name : String(type);
+}
+
+/**
+ * Resolves a type name of a collection's JSON representation, as written by getTypeName.
+ * @param name {string} The type name.
+ * @param types {Object} Maps names of constructor and descriptor types to the types themselves.
+ * @return {string|Function|TypeDescriptor} The resolved type.
+ * @throws {TypeError} If name is neither a key of types nor a type string from TYPE.
+ */
+export function typeFromJSON(name, types = {}) {
+    if (Object.prototype.hasOwnProperty.call(types, name)) {
+        return types[name];
+    } else if (Object.values(TYPE).includes(name)) {
+        return name;
+    }
+    throw new TypeError(`Unknown type: ${name}. Pass it in the types option to revive the collection.`);
+}
+
+/**
+ * @param compare {Function} Compare function to get the name of.
+ * @return {string|null} The key of compare in COMPARE, null if compare is a custom function.
+ */
+export function compareToJSON(compare) {
+    return Object.keys(COMPARE).find(key => COMPARE[key] === compare) || null;
+}
+
+/**
+ * Resolves a compare function of a collection's JSON representation, as written by compareToJSON.
+ * @param name {string|null} The key of the compare function in COMPARE, null for a custom function.
+ * @param compare {Function|undefined} The custom compare function, used if name is null.
+ * @return {Function} The resolved compare function.
+ * @throws {TypeError} If name is not a key of COMPARE, or if name is null and compare is not set.
+ */
+export function compareFromJSON(name, compare = undefined) {
+    if (isInitialized(name) && Object.prototype.hasOwnProperty.call(COMPARE, name)) {
+        return COMPARE[name];
+    } else if (!isInitialized(name) && typeof compare === "function") {
+        return compare;
+    }
+    throw new TypeError(`Unknown compare function: ${name}. Pass custom compare functions in the compare option.`);
+}
+
+/**
+ * Parses the JSON representation of a collection, and checks that it represents the expected class.
+ * @param json {string|Object} A JSON string, or an already parsed object.
+ * @param className {string} The expected class name.
+ * @return {Object} The parsed JSON representation.
+ * @throws {TypeError} If json does not represent an instance of className.
+ */
+export function parseJSON(json, className) {
+    const object = isType(json, TYPE.STRING) ? JSON.parse(json) : json;
+    if (!isInitialized(object) || object.class !== className || !Array.isArray(object.items)) {
+        throw new TypeError(`Invalid JSON: expected a ${className} representation.`);
+    }
+    return object;
+}
+
+/**
+ * Creates a type descriptor, which accepts instances of a class (i.e. subject instanceof constructor).
+ * @param constructor {Function} The class to test against.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function instanceOf(constructor) {
+    return new TypeDescriptor(constructor.name, subject => subject instanceof constructor);
+}
+
+/**
+ * Creates a type descriptor, which accepts subjects that pass a custom test.
+ * @param test {Function} Receives a subject, returns true if subject is of the described type, false otherwise.
+ * @param name {string} Readable name of the described type, defaults to the test function name.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function predicate(test, name = test.name || "Predicate") {
+    return new TypeDescriptor(name, test);
+}
+
+/**
+ * Creates a type descriptor, which accepts subjects of any of the given types.
+ * @param types {string|Function|TypeDescriptor} Types to accept.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function union(...types) {
+    const descriptors = types.map(toTypeDescriptor);
+    const name = descriptors.map(descriptor => descriptor.name).join("|");
+    return new TypeDescriptor(name, subject => descriptors.some(descriptor => descriptor.test(subject)));
+}
+
+/**
+ * Creates a type descriptor, which accepts subjects of the given type, null or undefined.
+ * @param type {string|Function|TypeDescriptor} Type to accept when set.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function nullable(type) {
+    const descriptor = toTypeDescriptor(type);
+    return new TypeDescriptor(`?${descriptor.name}`,
+        subject => subject === null || subject === undefined || descriptor.test(subject),
+        (subject, path) => subject === null || subject === undefined ? undefined : descriptor.validate(subject, path));
+}
+
+/**
+ * Creates a type descriptor for a schema key which may be omitted. Accepts subjects of the given type or undefined.
+ * @param type {string|Function|TypeDescriptor|Object} Type to accept when set. Plain objects are converted to schemas.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function optional(type) {
+    const descriptor = toShapeDescriptor(type);
+    return new TypeDescriptor(`${descriptor.name}=`,
+        subject => subject === undefined || descriptor.test(subject),
+        (subject, path) => subject === undefined ? undefined : descriptor.validate(subject, path));
+}
+
+/**
+ * Creates a type descriptor, which accepts arrays whose items are all of the given type.
+ * @param type {string|Function|TypeDescriptor|Object} Items type. Plain objects are converted to schemas.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function arrayOf(type) {
+    const descriptor = toShapeDescriptor(type);
+    const name = `Array<${descriptor.name}>`;
+    const validate = (subject, path) => {
+        if (!Array.isArray(subject)) {
+            return {path, expected: name, value: subject};
+        }
+        for (let i = 0; i < subject.length; i++) {
+            const failure = descriptor.validate(subject[i], `${path}[${i}]`);
+            if (failure) {
+                return failure;
+            }
+        }
+        return undefined;
+    };
+    return new TypeDescriptor(name, subject => !validate(subject, ""), validate);
+}
+
+/**
+ * Creates a type descriptor, which accepts objects of a certain shape. Each key in shape is required, unless its type
+ * is wrapped with optional. Keys which are not in shape are allowed.
+ * @example
+ * schema({id: TYPE.NUMBER, tags: arrayOf(TYPE.STRING), address: optional({zip: TYPE.STRING})})
+ * @param shape {Object} Maps each key to its type. Nested plain objects are converted to schemas.
+ * @return {TypeDescriptor} A new type descriptor.
+ */
+export function schema(shape) {
+    const keys = Object.keys(shape);
+    const descriptors = keys.map(key => toShapeDescriptor(shape[key]));
+    const name = `{${keys.map((key, i) => `${key}: ${descriptors[i].name}`).join(", ")}}`;
+    const validate = (subject, path) => {
+        if (typeof subject !== "object" || subject === null) {
+            return {path, expected: name, value: subject};
+        }
+        for (let i = 0; i < keys.length; i++) {
+            const failure = descriptors[i].validate(subject[keys[i]], path ? `${path}.${keys[i]}` : keys[i]);
+            if (failure) {
+                return failure;
+            }
+        }
+        return undefined;
+    };
+    return new TypeDescriptor(name, subject => !validate(subject, ""), validate);
+}
+
+/**
+ * Converts a schema value to a type descriptor. Plain objects are converted to nested schemas.
+ * @param type {string|Function|TypeDescriptor|Object} Type to convert.
+ * @return {TypeDescriptor} The matching type descriptor.
+ */
+function toShapeDescriptor(type) {
+    return isType(type, TYPE.OBJECT) && !(type instanceof TypeDescriptor) ? schema(type) : toTypeDescriptor(type);
 }
 
 /**
@@ -99,4 +370,109 @@ export function setDefaultCompare(type) {
         [TYPE.STRING]: COMPARE.STRING,
     }
     return functions[type] || COMPARE.DEFAULT;
+}
+
+/**
+ * The names of the query methods whose first argument is a callback, which receives the collection itself (or its
+ * backing array) as an argument.
+ * @type {Set<string>}
+ */
+const CALLBACK_MEMBERS = new Set([
+    "every", "filter", "find", "findIndex", "flatMap", "forEach", "map", "mapValues", "reduce", "reduceRight", "some"
+]);
+
+/**
+ * The collections viewed by the read-only views, by view.
+ * @type {WeakMap<Object, Object>}
+ */
+const VIEWS = new WeakMap();
+
+/**
+ * Creates a live, read-only view of a collection, without copying. The view exposes only the given members, read from
+ * the collection on every access, so it reflects later changes, and shares its prototype. Calling any other method, or
+ * assigning or deleting a property, throws. Callbacks of the exposed methods receive the view in place of the
+ * collection and its backing array, so they cannot modify the collection either. A view is equal to, and has the
+ * same hash code as, the collection it views.
+ * @param collection {Object} The collection to view.
+ * @param members {Array<string|symbol>} The names of the query and iteration members to expose.
+ * @return {Object} A read-only view of the collection.
+ */
+export function readonlyView(collection, members) {
+    const allowed = new Set(members);
+    const deny = (property) => {
+        throw new ErrorReadonly("assign", property);
+    };
+    const guard = subject => subject === collection || (subject === collection._array && subject !== undefined)
+        ? view
+        : subject;
+    const guardCallback = callback => typeof callback !== "function" ? callback : function (...args) {
+        return callback.apply(this, args.map(guard));
+    };
+    const view = new Proxy({}, {
+        get(target, property) {
+            const value = Reflect.get(collection, property, collection);
+            if (allowed.has(property)) {
+                if (typeof value !== "function") {
+                    return value;
+                } else if (CALLBACK_MEMBERS.has(property)) {
+                    return (callback, ...args) => value.call(collection, guardCallback(callback), ...args);
+                }
+                return value.bind(collection);
+            } else if (typeof value === "function") {
+                return () => {
+                    throw new ErrorReadonly("call", property);
+                };
+            }
+            return undefined;
+        },
+        has: (target, property) => allowed.has(property) && Reflect.has(collection, property),
+        getPrototypeOf: () => Object.getPrototypeOf(collection),
+        set: (target, property) => deny(property),
+        deleteProperty: (target, property) => deny(property),
+        defineProperty: (target, property) => deny(property),
+        setPrototypeOf: () => deny("prototype"),
+    });
+    VIEWS.set(view, collection);
+    return view;
+}
+
+/**
+ * @param subject {*} A read-only view, or any other value.
+ * @return {*} The collection viewed by subject if it is a read-only view, subject itself otherwise.
+ */
+export function unwrapView(subject) {
+    return VIEWS.has(subject) ? VIEWS.get(subject) : subject;
+}
+
+/**
+ * Resolves the inclusive option of range queries, e.g. range and countInRange.
+ * @param inclusive {boolean|boolean[]} Whether both bounds are inclusive, or [fromInclusive, toInclusive].
+ * @return {boolean[]} [fromInclusive, toInclusive].
+ */
+export function inclusiveBounds(inclusive = true) {
+    return Array.isArray(inclusive) ? [inclusive[0] !== false, inclusive[1] !== false] : [inclusive, inclusive];
+}
+
+/**
+ * Computes a percentile of a sorted collection, by linear interpolation between the two closest ranks. Interpolation
+ * only applies to numbers, other elements resolve to the lower of the two.
+ * @param select {Function} Receives an index, returns the element at that index in sort order.
+ * @param size {number} The number of elements.
+ * @param p {number} The percentile, from 0 to 100.
+ * @return {*|undefined} The percentile, undefined if there are no elements.
+ * @throws {TypeError} If p is not a number from 0 to 100.
+ */
+export function percentileOf(select, size, p) {
+    if (typeof p !== "number" || !(p >= 0 && p <= 100)) {
+        throw new TypeError(`Invalid percentile: ${p}. Expected a number from 0 to 100.`);
+    } else if (size === 0) {
+        return undefined;
+    }
+    const position = p / 100 * (size - 1);
+    const index = Math.floor(position);
+    const lower = select(index);
+    if (index === position || typeof lower !== "number") {
+        return lower;
+    }
+    return lower + (select(index + 1) - lower) * (position - index);
 }
\ No newline at end of file
@@ -0,0 +1,272 @@
+import LinkedList from "../linked-list/LinkedList";
+import ErrorCapacity from "../error/ErrorCapacity";
+import {END, isInitialized, parseJSON, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a double-ended queue, a linear collection which supports adding and removing elements at both
+ * ends. Provides insertion and removal efficiency at both ends, at O(1).
+ * @extends {Object}
+ */
+class Deque {
+    /**
+     * Sets this deque's list and items.
+     * @param items {*} Items to add to this deque upon initialization, from front to back.
+     */
+    constructor(...items) {
+        /**
+         * This deque's list.
+         * @type {LinkedList}
+         * @protected
+         */
+        this._list = new LinkedList(...items);
+        /**
+         * This deque capacity if set.
+         * @type {number|Infinity}
+         * @default Infinity
+         * @private
+         */
+        this._capacity = Infinity;
+        /**
+         * The end to evict elements from when reached max capacity, one of END values. If not set, elements are
+         * evicted from the end opposite to the one being pushed to.
+         * @type {string|undefined}
+         */
+        this.evictionEnd = undefined;
+    }
+
+    /**
+     * Sets the max capacity for this deque.
+     * @param maxCapacity {number} The max capacity for this deque.
+     * @throws {ErrorCapacity} If the set capacity is smaller than the current size
+     */
+    set capacity(maxCapacity) {
+        if (maxCapacity >= this.size) {
+            this._capacity = maxCapacity;
+        } else {
+            throw new ErrorCapacity("set", this.size, maxCapacity);
+        }
+    }
+
+    /**
+     * Returns the max capacity for this deque is set, Infinity otherwise.
+     * @return {number|Infinity}
+     * @type {number|Infinity}
+     */
+    get capacity() {
+        return this._capacity;
+    }
+
+    /**
+     * Returns the number of values in this deque.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._list.size;
+    }
+
+    /**
+     * Returns a live, read-only view of this deque, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this deque.
+     * @return {Object} A read-only view of this deque.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this deque is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
+    /**
+     * Compares this deque to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a deque of the same class and type, with the same elements in the same order,
+     * or an array of these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Calls LinkedList.prototype.forEach method. Executes a provided function once for each deque element, from
+     * front to back.
+     * @param callback {Function} Function to execute on each element.
+     */
+    forEach(callback) {
+        this._list.forEach(callback);
+    }
+
+    /**
+     * @return {number} A hash code of this deque's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a boolean indicating whether an element with the specified value exists in this deque.
+     * @param value {*} The value to test for presence in the this deque.
+     * @return {boolean} True if an element with the specified value exists in this deque, false otherwise.
+     */
+    includes(value) {
+        return this._list.includes(value);
+    }
+
+    /**
+     * @return {boolean} True if this deque is empty, false otherwise.
+     */
+    isEmpty() {
+        return this.size <= 0;
+    }
+
+    /**
+     * @return {*} The value at the back of this deque, undefined if the deque is empty.
+     */
+    peekBack() {
+        return this.isEmpty() ? undefined : this._list.tail.value;
+    }
+
+    /**
+     * @return {*} The value at the front of this deque, undefined if the deque is empty.
+     */
+    peekFront() {
+        return this.isEmpty() ? undefined : this._list.head.value;
+    }
+
+    /**
+     * Removes the element at the back of the deque.
+     * @return {*} The removed element from the deque, undefined if the deque is empty.
+     */
+    popBack() {
+        return this._list.pop();
+    }
+
+    /**
+     * Removes the element at the front of the deque.
+     * @return {*} The removed element from the deque, undefined if the deque is empty.
+     */
+    popFront() {
+        return this._list.shift();
+    }
+
+    /**
+     * Adds one or more elements to the back of the deque, in order.
+     * If reached max capacity, for each new item evicts an element from the eviction end (front by default). Adds
+     * nothing if the max capacity is 0.
+     * @param items {*} The elements to add to the back of the deque.
+     * @return {number} The new size property of this deque.
+     */
+    pushBack(...items) {
+        for (const item of items) {
+            this._evict(END.FRONT) && this._list.push(item);
+        }
+        return this.size;
+    }
+
+    /**
+     * Adds one or more elements to the front of the deque, so the first item ends at the front.
+     * If reached max capacity, for each new item evicts an element from the eviction end (back by default). Adds
+     * nothing if the max capacity is 0.
+     * @param items {*} The elements to add to the front of the deque.
+     * @return {number} The new size property of this deque.
+     */
+    pushFront(...items) {
+        for (let i = items.length - 1; i >= 0; i--) {
+            this._evict(END.BACK) && this._list.unshift(items[i]);
+        }
+        return this.size;
+    }
+
+    /**
+     * Returns the JSON representation of this deque, used by JSON.stringify.
+     * @return {{class: string, capacity: number, evictionEnd: string, items: Array}} JSON representation of this deque:
+     * its capacity, eviction end and items from front to back.
+     */
+    toJSON() {
+        return {class: "Deque", capacity: this.capacity, evictionEnd: this.evictionEnd, items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this deque, from front to back.
+     * @override
+     */
+    toString() {
+        return this._list.toString();
+    }
+
+    /**
+     * Specifies the default iterator for deque.
+     * @return {Generator} A new Iterator object that contains the values for each index in the deque, from front to
+     * back.
+     */
+    [Symbol.iterator]() {
+        return this._list[Symbol.iterator]();
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this deque.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "capacity", "size", "evictionEnd", "asReadonly", "equals", "forEach", "hashCode", "includes", "isEmpty",
+            "peekBack", "peekFront", "toJSON", "toString", Symbol.iterator
+        ];
+    }
+
+    /**
+     * Evicts an element if reached max capacity, to make room for a new item.
+     * @param defaultEnd {string} The end to evict from, if evictionEnd is not set.
+     * @return {boolean} True if there is room for a new item, false if the max capacity is 0.
+     * @private
+     */
+    _evict(defaultEnd) {
+        if (this.size >= this.capacity && this.size > 0) {
+            (this.evictionEnd || defaultEnd) === END.FRONT ? this.popFront() : this.popBack();
+        }
+        return this.size < this.capacity;
+    }
+
+    /**
+     * Restores this deque's settings from its JSON representation.
+     * @param json {Object} The parsed JSON representation.
+     * @return {Deque} This deque.
+     * @protected
+     */
+    _restore(json) {
+        this.capacity = isInitialized(json.capacity) ? json.capacity : Infinity;
+        isInitialized(json.evictionEnd) && (this.evictionEnd = json.evictionEnd);
+        return this;
+    }
+
+    /**
+     * Creates a new, shallow-copied deque instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to deque.
+     * @return {Deque} A new deque instance.
+     */
+    static from(arrayLike) {
+        return new Deque(...arrayLike);
+    }
+
+    /**
+     * Creates a new deque instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {Deque} A new deque instance.
+     * @throws {TypeError} If json does not represent a deque.
+     */
+    static fromJSON(json) {
+        const object = parseJSON(json, "Deque");
+        return new Deque(...object.items)._restore(object);
+    }
+
+    /**
+     * Creates a new deque instance from a variable number of arguments.
+     * @param items {*} Elements used to create the deque.
+     * @return {Deque} A new deque instance.
+     */
+    static of(...items) {
+        return new Deque(...items);
+    }
+}
+
+export default Deque;
\ No newline at end of file
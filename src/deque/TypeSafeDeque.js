@@ -0,0 +1,147 @@
+import Deque from "./Deque";
+import TypeSafeLinkedList from "../linked-list/TypeSafeLinkedList";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, parseJSON, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+
+/**
+ * A type safe extension of Deque. Implementation of a type safe double-ended queue, a linear collection which supports
+ * adding and removing elements at both ends.
+ * @extends {Deque}
+ */
+class TypeSafeDeque extends Deque {
+    /**
+     * Sets this deque's list, type and items.
+     * @param type {string|Function|TypeDescriptor} Type to use for this deque.
+     * @param items {T} Items to add to this deque upon initialization, from front to back.
+     * @template T
+     */
+    constructor(type, ...items) {
+        super();
+        /**
+         * This deque's type safe list.
+         * @type {TypeSafeLinkedList}
+         * @protected
+         */
+        this._list = new TypeSafeLinkedList(type, ...items);
+    }
+
+    /**
+     * Returns this deque's type.
+     * @return {string|Function|TypeDescriptor}
+     * @type {string|Function|TypeDescriptor}
+     */
+    get type() {
+        return this._list.type;
+    }
+
+    /**
+     * Adds one or more elements to the back of the TypeSafeDeque, in order. Items are validated before any element is
+     * evicted.
+     * @param items {T} The elements to add to the back of the TypeSafeDeque.
+     * @return {number} The new size property of this TypeSafeDeque.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @override
+     */
+    pushBack(...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.pushBack(...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds one or more elements to the front of the TypeSafeDeque, so the first item ends at the front. Items are
+     * validated before any element is evicted.
+     * @param items {T} The elements to add to the front of the TypeSafeDeque.
+     * @return {number} The new size property of this TypeSafeDeque.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @override
+     */
+    pushFront(...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.pushFront(...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds items to this deque without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>, in the order of its JSON representation.
+     * @return {TypeSafeDeque<T>} This deque.
+     * @protected
+     */
+    _load(items) {
+        this._list._load(items);
+        return this;
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this deque.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat("type");
+    }
+
+    /**
+     * @return {Object} JSON representation of this deque, including its type name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeDeque", type: getTypeName(this.type)});
+    }
+
+    /**
+     * Creates a new, shallow-copied TypeSafeDeque instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeDeque.
+     * @return {TypeSafeDeque} A new TypeSafeDeque instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static from(arrayLike) {
+        const type = getArrayType(arrayLike);
+        if (isInitialized(type)) {
+            return new TypeSafeDeque(type, ...arrayLike);
+        } else {
+            throw new ErrorTypeSafe("initialize", arrayLike, getType(arrayLike[0]));
+        }
+    }
+
+    /**
+     * Creates a new TypeSafeDeque instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeDeque} A new TypeSafeDeque instance.
+     * @throws {TypeError} If json does not represent a TypeSafeDeque, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const object = parseJSON(json, "TypeSafeDeque");
+        return new TypeSafeDeque(typeFromJSON(object.type, options.types), ...object.items)._restore(object);
+    }
+
+    /**
+     * Creates a new TypeSafeDeque instance from a variable number of arguments.
+     * @param items {*} Elements used to create the TypeSafeDeque.
+     * @return {TypeSafeDeque} A new TypeSafeDeque instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static of(...items) {
+        const type = getArrayType(items);
+        if (isInitialized(type)) {
+            return new TypeSafeDeque(type, ...items);
+        } else {
+            throw new ErrorTypeSafe("initialize", items, getType(items[0]));
+        }
+    }
+}
+
+export default TypeSafeDeque;
\ No newline at end of file
@@ -5,7 +5,7 @@
 class ErrorCapacity extends Error {
     /**
      * Calls parent Error and sets the modified message.
-     * @param error {string} ErrorCapacity type [add, assign, initialize].
+     * @param error {string} ErrorCapacity type [add, set].
      * @param size {number} This collection current size.
      * @param maxSize {number} This collection max size.
      */
@@ -16,8 +16,8 @@ class ErrorCapacity extends Error {
     }
 
     /**
-     * Sets the custom ErrorTypeSafe message.
-     * @param error {string} ErrorCapacity type [add, assign, initialize].
+     * Sets the custom ErrorCapacity message.
+     * @param error {string} ErrorCapacity type [add, set].
      * @param size {number} This collection current size.
      * @param maxSize {number} This collection max size.
      * @return {string} This error message.
@@ -25,11 +25,27 @@ class ErrorCapacity extends Error {
      */
     _setMessage(error, size, maxSize) {
         const ERROR_TYPES = {
+            add: this._add,
             set: this._set,
         }
         return this.base.concat(ERROR_TYPES[error](size, maxSize)).join("\n");
     }
 
+    /**
+     * @param size {number} This collection current size.
+     * @param maxSize {number} This collection max size.
+     * @return {string[]} Custom ErrorCapacity message regarding adding items.
+     * @private
+     */
+    _add(size, maxSize) {
+        return [
+            `-- Unable to add items to collection --`,
+            `The added items exceed the max capacity.`,
+            `This collection current size is: ${size}.`,
+            `This collection max capacity is: ${maxSize}.`
+        ];
+    }
+
     /**
      * @param size {number} This collection current size.
      * @param maxSize {number} This collection max size.
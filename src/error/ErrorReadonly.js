@@ -0,0 +1,57 @@
+/**
+ * Custom error for attempts to modify read-only views.
+ * @extends {Error}
+ */
+class ErrorReadonly extends Error {
+    /**
+     * Calls parent Error and sets the modified message.
+     * @param error {string} ErrorReadonly type [assign, call].
+     * @param property {string|symbol} The property or method that was attempted.
+     */
+    constructor(error, property) {
+        super()
+        this.base = ["ReadonlyError"];
+        this.message = this._setMessage(error, property);
+    }
+
+    /**
+     * Sets the custom ErrorReadonly message.
+     * @param error {string} ErrorReadonly type [assign, call].
+     * @param property {string|symbol} The property or method that was attempted.
+     * @return {string} This error message.
+     * @private
+     */
+    _setMessage(error, property) {
+        const ERROR_TYPES = {
+            assign: this._assign,
+            call: this._call,
+        }
+        return this.base.concat(ERROR_TYPES[error](String(property))).join("\n");
+    }
+
+    /**
+     * @param property {string} The property that was attempted.
+     * @return {string[]} Custom ErrorReadonly message regarding assigning properties.
+     * @private
+     */
+    _assign(property) {
+        return [
+            `-- Unable to modify read-only view --`,
+            `Attempted to assign property: ${property}.`
+        ];
+    }
+
+    /**
+     * @param property {string} The method that was attempted.
+     * @return {string[]} Custom ErrorReadonly message regarding calling methods.
+     * @private
+     */
+    _call(property) {
+        return [
+            `-- Unable to modify read-only view --`,
+            `Method ${property} is not available on a read-only view, as it may modify the collection.`
+        ];
+    }
+}
+
+export default ErrorReadonly;
\ No newline at end of file
@@ -1,4 +1,4 @@
-import {getType} from "../common/utils";
+import {getType, getTypeName, toTypeDescriptor} from "../common/utils";
 
 /**
  * Custom error for type related errors.
@@ -7,9 +7,9 @@ import {getType} from "../common/utils";
 class ErrorTypeSafe extends Error {
     /**
      * Calls parent Error and sets the modified message.
-     * @param error {string} ErrorTypeSafe type [add, assign, initialize].
+     * @param error {string} ErrorTypeSafe type [add, assign, assignKey, assignValue, initialize].
      * @param items {*} Items that failed the test.
-     * @param type {string} The type of the type safe collection.
+     * @param type {string|Function|TypeDescriptor} The type of the type safe collection.
      */
     constructor(error, items, type) {
         super()
@@ -19,9 +19,9 @@ class ErrorTypeSafe extends Error {
 
     /**
      * Sets the custom ErrorTypeSafe message.
-     * @param error {string} ErrorTypeSafe type [add, assign, initialize].
+     * @param error {string} ErrorTypeSafe type [add, assign, assignKey, assignValue, initialize].
      * @param items {*} Items that failed the test.
-     * @param type {string} The type of the type safe collection.
+     * @param type {string|Function|TypeDescriptor} The type of the type safe collection.
      * @return {string} This error message.
      * @private
      */
@@ -29,48 +29,93 @@ class ErrorTypeSafe extends Error {
         const ERROR_TYPES = {
             add: this._add,
             assign: this._assign,
+            assignKey: this._assignKey,
+            assignValue: this._assignValue,
             initialize: this._initialize
         }
-        return this.base.concat(ERROR_TYPES[error](items, type)).join("\n");
+        return this.base.concat(ERROR_TYPES[error](items, type), this._failure(error, items, type)).join("\n");
     }
 
     /**
+     * Locates the first value that failed the test, including values nested in schemas.
+     * @param error {string} ErrorTypeSafe type [add, assign, assignKey, assignValue, initialize].
      * @param items {*} Items that failed the test.
-     * @param type {string} The type of the type safe collection.
+     * @param type {string|Function|TypeDescriptor} The type of the type safe collection.
+     * @return {string[]} Custom ErrorTypeSafe message regarding the path of the failing value, empty if not found.
+     * @private
+     */
+    _failure(error, items, type) {
+        const descriptor = toTypeDescriptor(type);
+        const failures = error.startsWith("assign")
+            ? [descriptor.validate(items, error === "assignKey" ? "key" : "value")]
+            : Array.from(items, (item, i) => descriptor.validate(item, `items[${i}]`));
+        const failure = failures.find(failure => failure !== undefined);
+        return failure ? [`${failure.path}: expected ${failure.expected}, got ${getType(failure.value)}.`] : [];
+    }
+
+    /**
+     * @param items {*} Items that failed the test.
+     * @param type {string|Function|TypeDescriptor} The type of the type safe collection.
      * @return {string[]} Custom ErrorTypeSafe message regarding adding items.
      * @private
      */
     _add(items, type) {
         return [
             `-- Unable to add items to type-safe collection --`,
-            `Some items are not of type {${type}}.`,
+            `Some items are not of type {${getTypeName(type)}}.`,
             `Attempted to add items: ${items.join(", ")}.`
         ];
     }
 
     /**
      * @param items {*} Items that failed the test.
-     * @param type {string} The type of the type safe collection.
+     * @param type {string|Function|TypeDescriptor} The type of the type safe collection.
      * @return {string[]} Custom ErrorTypeSafe message regarding assigning items.
      * @private
      */
     _assign(items, type) {
         return [
             `-- Unable to assign value to type-safe collection --`,
-            `Value <${items}> is of type {${getType(items)}}, should be of type {${type}}.`
+            `Value <${items}> is of type {${getType(items)}}, should be of type {${getTypeName(type)}}.`
         ]
     }
 
+    /**
+     * @param key {*} Key that failed the test.
+     * @param type {string|Function|TypeDescriptor} The key type of the type safe map.
+     * @return {string[]} Custom ErrorTypeSafe message regarding setting a key.
+     * @private
+     */
+    _assignKey(key, type) {
+        return [
+            `-- Unable to set key in type-safe map --`,
+            `Key <${key}> is of type {${getType(key)}}, should be of type {${getTypeName(type)}}.`
+        ];
+    }
+
+    /**
+     * @param value {*} Value that failed the test.
+     * @param type {string|Function|TypeDescriptor} The value type of the type safe map.
+     * @return {string[]} Custom ErrorTypeSafe message regarding setting a value.
+     * @private
+     */
+    _assignValue(value, type) {
+        return [
+            `-- Unable to set value in type-safe map --`,
+            `Value <${value}> is of type {${getType(value)}}, should be of type {${getTypeName(type)}}.`
+        ];
+    }
+
     /**
      * @param items {*} Items that failed the test.
-     * @param type {string} The type of the type safe collection.
+     * @param type {string|Function|TypeDescriptor} The type of the type safe collection.
      * @return {string[]} Custom ErrorTypeSafe message regarding initializing collection with items.
      * @private
      */
     _initialize(items, type) {
         return [
             `-- Unable to initialize type-safe collection with items --`,
-            `Some items are not of type {${type}}.`,
+            `Some items are not of type {${getTypeName(type)}}.`,
             `Attempted to push items: ${items.join(", ")}.`
         ];
     }
@@ -0,0 +1,255 @@
+import {
+    getArrayType, getType, isArrayOfType, isInitialized, isType, parseJSON, setDefaultCompare, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+import TypeSafeReadonlyArray from "../array/TypeSafeReadonlyArray";
+
+/**
+ * An immutable type safe array. Instances and their arrays are frozen, and every method that would mutate the array
+ * returns a new ImmutableArray instead, leaving the original unchanged.
+ * @extends {TypeSafeReadonlyArray}
+ */
+class ImmutableArray extends TypeSafeReadonlyArray {
+    /**
+     * Sets array type and items, and freezes the instance.
+     * @param type {string|Function|TypeDescriptor} Type to use for this array.
+     * @param items {T} Items to set to array.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @template T
+     */
+    constructor(type, ...items) {
+        super(type, ...items);
+        Object.freeze(this._array);
+        Object.freeze(this);
+    }
+
+    /**
+     * Merges two or more arrays or items of type <T>.
+     * @param items {T|T[]|TypeSafeReadonlyArray<T>} Arrays and/or values to concatenate.
+     * @return {ImmutableArray<T>} A new ImmutableArray with the concatenated items.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     */
+    concat(...items) {
+        const arrays = items.map(item => item instanceof TypeSafeReadonlyArray ? item.items : item);
+        const attempt = this._array.concat(...arrays);
+        const added = attempt.slice(this._array.length);
+        if (isArrayOfType(added, this.type)) {
+            return this._with(attempt);
+        } else {
+            // Reports the flattened items which were checked, so that the failing path indexes them.
+            throw new ErrorTypeSafe("add", added, this.type);
+        }
+    }
+
+    /**
+     * Shallow copies part of the array to another location.
+     * @param target {number} Zero-based index at which to copy the sequence to.
+     * @param start {number} Zero-based index at which to start copying elements from.
+     * @param end {number} Zero-based index at which to end copying elements from.
+     * @return {ImmutableArray<T>} A new ImmutableArray with the copied sequence.
+     */
+    copyWithin(target, start = undefined, end = undefined) {
+        return this._with(this.items.copyWithin(target, start, end));
+    }
+
+    /**
+     * Changes elements to a static value of type <T>, from a start index (default 0) to an end index (default
+     * array.length).
+     * @param value {T} Value to fill the array with.
+     * @param start {number} Start index, default 0.
+     * @param end {number} End index, default array.length.
+     * @return {ImmutableArray<T>} A new ImmutableArray, filled with value.
+     * @throws {ErrorTypeSafe} if value is not of type <T>.
+     */
+    fill(value, start = undefined, end = undefined) {
+        if (isType(value, this.type)) {
+            return this._with(this.items.fill(value, start, end));
+        } else {
+            throw new ErrorTypeSafe("assign", value, this.type);
+        }
+    }
+
+    /**
+     * Removes the last element. Use get(length - 1) to read it.
+     * @return {ImmutableArray<T>} A new ImmutableArray without the last element.
+     */
+    pop() {
+        return this.slice(0, -1);
+    }
+
+    /**
+     * Adds one or more elements of type <T> to the end of the array.
+     * @param items {T} The element(s) to add to the end of the array.
+     * @return {ImmutableArray<T>} A new ImmutableArray with the added elements.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     */
+    push(...items) {
+        if (this.itemsAreOfThisArrayType(...items)) {
+            return this._with([...this._array, ...items]);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Reverses the order of the elements.
+     * @return {ImmutableArray<T>} A new reversed ImmutableArray.
+     */
+    reverse() {
+        return this._with(this.items.reverse());
+    }
+
+    /**
+     * Mimics array[index] = value set operation.
+     * @param index {number} Index to set value for.
+     * @param value {T} Value to assign.
+     * @return {ImmutableArray<T>} A new ImmutableArray with the assigned value.
+     * @throws {ErrorTypeSafe} If the value of the property to set is not of type <T>.
+     */
+    set(index, value) {
+        if (isType(value, this.type)) {
+            const array = this.items;
+            array[index] = value;
+            return this._with(array);
+        } else {
+            throw new ErrorTypeSafe("assign", value, this.type);
+        }
+    }
+
+    /**
+     * Removes the first element. Use get(0) to read it.
+     * @return {ImmutableArray<T>} A new ImmutableArray without the first element.
+     */
+    shift() {
+        return this.slice(1);
+    }
+
+    /**
+     * Sorts the elements. If compareFunction is omitted, provides type specific callback.
+     * @param compareFunction {Function} Specifies a function that defines the sort order.
+     * @return {ImmutableArray<T>} A new sorted ImmutableArray.
+     */
+    sort(compareFunction = undefined) {
+        return this._with(this.items.sort(compareFunction || setDefaultCompare(this.type)));
+    }
+
+    /**
+     * Removes or replaces existing elements and/or adds new elements of type <T>. Use slice to read the removed
+     * elements.
+     * @param start {number} The index at which to start changing the array.
+     * @param deleteCount {number} The number of elements to remove from start, defaults to all elements from start.
+     * @param items {T} The elements to add, beginning from start.
+     * @return {ImmutableArray<T>} A new ImmutableArray with the changed contents.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     */
+    splice(start, deleteCount = this.length, ...items) {
+        if (this.itemsAreOfThisArrayType(...items)) {
+            const array = this.items;
+            array.splice(start, deleteCount, ...items);
+            return this._with(array);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds one or more elements of type <T> to the beginning of the array.
+     * @param items {T} The elements to add to the front of the array.
+     * @return {ImmutableArray<T>} A new ImmutableArray with the added elements.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     */
+    unshift(...items) {
+        if (this.itemsAreOfThisArrayType(...items)) {
+            return this._with([...items, ...this._array]);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * @return {{class: string, type: string, items: T[]}} JSON representation of this ImmutableArray, with its type
+     * name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "ImmutableArray"});
+    }
+
+    /**
+     * Creates a new ImmutableArray without validation, as this instance is frozen. For trusted items only (e.g.
+     * decoded binary data).
+     * @param items {T[]} Items of type <T>, in order. Frozen without copying.
+     * @return {ImmutableArray<T>} A new ImmutableArray instance.
+     * @protected
+     * @override
+     */
+    _load(items) {
+        const array = Object.create(ImmutableArray.prototype);
+        array.type = this.type;
+        array._array = Object.freeze(items);
+        return Object.freeze(array);
+    }
+
+    /**
+     * Creates a new ImmutableArray of this type, without validating its items again. Callers validate only the new
+     * values, as the items of this instance are already of type <T>.
+     * @param array {T[]} The new ImmutableArray items, a new array which is frozen without copying.
+     * @return {ImmutableArray<T>} A new ImmutableArray instance.
+     * @private
+     */
+    _with(array) {
+        return this._load(array);
+    }
+
+    /**
+     * Mimics Array.from static method. Creates a new ImmutableArray instance from an array-like or iterable object of
+     * the same type.
+     * @param arrayLike {*} An array-like or iterable object to convert to an ImmutableArray.
+     * @param mapFn {Function} Map function to call on every element of the ImmutableArray.
+     * @param thisArg {*} Value to use as this when executing mapFn.
+     * @return {ImmutableArray} A new ImmutableArray instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     */
+    static from(arrayLike, mapFn = undefined, thisArg = undefined) {
+        const array = Array.from(arrayLike, mapFn, thisArg);
+        const type = getArrayType(array);
+        if (isInitialized(type)) {
+            return new ImmutableArray(type, ...array);
+        } else {
+            throw new ErrorTypeSafe("initialize", array, getType(array[0]));
+        }
+    }
+
+    /**
+     * Creates a new ImmutableArray instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {ImmutableArray} A new ImmutableArray instance.
+     * @throws {TypeError} If json does not represent a ImmutableArray, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {type, items} = parseJSON(json, "ImmutableArray");
+        return new ImmutableArray(typeFromJSON(type, options.types), ...items);
+    }
+
+    /**
+     * Mimics Array.of static method. Creates a new ImmutableArray instance from a variable number of arguments of the
+     * same type.
+     * @param items {*} Elements used to create the array.
+     * @return {ImmutableArray} A new ImmutableArray instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     */
+    static of(...items) {
+        const type = getArrayType(items);
+        if (isInitialized(type)) {
+            return new ImmutableArray(type, ...items);
+        } else {
+            throw new ErrorTypeSafe("initialize", items, getType(items[0]));
+        }
+    }
+}
+
+export default ImmutableArray;
\ No newline at end of file
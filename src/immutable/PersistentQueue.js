@@ -0,0 +1,229 @@
+import {parseJSON} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a persistent (immutable) queue, backed by two cons lists. The order is First In First Out (FIFO).
+ * Instances are frozen, and enqueue and dequeue return a new queue which shares nodes with the original.
+ * Elements are dequeued from the front list, and enqueued to the back list, which is reversed into the front list
+ * once it runs out. Enqueue is O(1), and dequeue is O(1) unless it empties the front list, which reverses the back
+ * list at O(n). This is amortized O(1) if each version is dequeued once, as with a mutable queue, but not when an older
+ * version is dequeued again: each dequeue of a version whose front list holds a single element reverses the same back
+ * list again, at O(n).
+ * @extends {Object}
+ */
+class PersistentQueue {
+    /**
+     * Sets this queue's items, and freezes the instance.
+     * @param items {*} Items to enqueue upon initialization, the first item is at the front.
+     */
+    constructor(...items) {
+        /**
+         * This queue's front list, from the next to be dequeued.
+         * @type {{value: *, next: Object|null}|null}
+         * @private
+         */
+        this._front = PersistentQueue._reverse(PersistentQueue._cons(null, items));
+        /**
+         * This queue's back list, from the last enqueued.
+         * @type {{value: *, next: Object|null}|null}
+         * @private
+         */
+        this._back = null;
+        /**
+         * The number of values in this queue.
+         * @type {number}
+         */
+        this.size = items.length;
+        Object.freeze(this);
+    }
+
+    /**
+     * Removes the element at the front of the queue. Use peek to read it. O(n) if it empties the front list, which
+     * reverses the back list, O(1) otherwise.
+     * @return {PersistentQueue} A new queue without the front element.
+     */
+    dequeue() {
+        if (this.isEmpty()) {
+            return this;
+        }
+        return PersistentQueue._create(this._front.next, this._back, this.size - 1);
+    }
+
+    /**
+     * Adds one or more elements to the back of the queue, in order.
+     * @param items {*} The elements to add to the back of the queue.
+     * @return {PersistentQueue} A new queue with the added elements.
+     */
+    enqueue(...items) {
+        const back = PersistentQueue._cons(this._back, items);
+        return PersistentQueue._create(this._front, back, this.size + items.length);
+    }
+
+    /**
+     * Compares this queue to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a persistent queue with the same elements in the same order, or an array of
+     * these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each queue element, from front to back.
+     * @param callback {Function} Function to execute on each element.
+     */
+    forEach(callback) {
+        let index = 0;
+        for (const value of this) {
+            callback(value, index++);
+        }
+    }
+
+    /**
+     * @return {number} A hash code of this queue's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a boolean indicating whether an element with the specified value exists in this queue.
+     * @param value {*} The value to test for presence in the this queue.
+     * @return {boolean} True if an element with the specified value exists in this queue, false otherwise.
+     */
+    includes(value) {
+        for (const item of this) {
+            if (item === value) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @return {boolean} True if this queue is empty, false otherwise.
+     */
+    isEmpty() {
+        return this.size <= 0;
+    }
+
+    /**
+     * @return {*} The value at the front of this queue (the next to be dequeued), undefined if the queue is empty.
+     */
+    peek() {
+        return this.isEmpty() ? undefined : this._front.value;
+    }
+
+    /**
+     * Returns the JSON representation of this queue, used by JSON.stringify.
+     * @return {{class: string, items: Array}} JSON representation of this queue, with items from front to back.
+     */
+    toJSON() {
+        return {class: "PersistentQueue", items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this queue, from front to back.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this queue, from front to back.
+     */
+    * values() {
+        for (let node = this._front; node !== null; node = node.next) {
+            yield node.value;
+        }
+        const back = [];
+        for (let node = this._back; node !== null; node = node.next) {
+            back.push(node.value);
+        }
+        yield* back.reverse();
+    }
+
+    /**
+     * Specifies the default iterator for queue.
+     * @return {Generator} A new Iterator object that contains the values in this queue, from front to back.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Adds items to the head of a cons list.
+     * @param list {{value: *, next: Object|null}|null} The list to add to.
+     * @param items {Array} The items to add, the last item ends at the head.
+     * @return {{value: *, next: Object|null}|null} The head of the new list.
+     * @private
+     */
+    static _cons(list, items) {
+        for (const item of items) {
+            list = Object.freeze({value: item, next: list});
+        }
+        return list;
+    }
+
+    /**
+     * Creates a new queue instance from existing lists, without copying. Keeps the front list set, unless empty.
+     * @param front {{value: *, next: Object|null}|null} The front list of the new queue.
+     * @param back {{value: *, next: Object|null}|null} The back list of the new queue.
+     * @param size {number} The number of values in both lists.
+     * @return {PersistentQueue} A new queue instance.
+     * @private
+     */
+    static _create(front, back, size) {
+        const queue = Object.create(PersistentQueue.prototype);
+        queue._front = front === null ? PersistentQueue._reverse(back) : front;
+        queue._back = front === null ? null : back;
+        queue.size = size;
+        return Object.freeze(queue);
+    }
+
+    /**
+     * @param list {{value: *, next: Object|null}|null} The list to reverse.
+     * @return {{value: *, next: Object|null}|null} The head of a new reversed list.
+     * @private
+     */
+    static _reverse(list) {
+        let reversed = null;
+        for (let node = list; node !== null; node = node.next) {
+            reversed = Object.freeze({value: node.value, next: reversed});
+        }
+        return reversed;
+    }
+
+    /**
+     * Creates a new queue instance from an array-like or iterable object. The first item is at the front.
+     * @param arrayLike {*} An array-like or iterable object to convert to queue.
+     * @return {PersistentQueue} A new queue instance.
+     */
+    static from(arrayLike) {
+        return new PersistentQueue(...Array.from(arrayLike));
+    }
+
+    /**
+     * Creates a new queue instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {PersistentQueue} A new queue instance.
+     * @throws {TypeError} If json does not represent a persistent queue.
+     */
+    static fromJSON(json) {
+        return new PersistentQueue(...parseJSON(json, "PersistentQueue").items);
+    }
+
+    /**
+     * Creates a new queue instance from a variable number of arguments. The first item is at the front.
+     * @param items {*} Elements used to create the queue.
+     * @return {PersistentQueue} A new queue instance.
+     */
+    static of(...items) {
+        return new PersistentQueue(...items);
+    }
+}
+
+export default PersistentQueue;
\ No newline at end of file
@@ -0,0 +1,192 @@
+import {parseJSON} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a persistent (immutable) stack, backed by a cons list. The order is LIFO (Last In First Out).
+ * Instances are frozen, and push and pop return a new stack which shares all remaining nodes with the original,
+ * at O(1).
+ * @extends {Object}
+ */
+class PersistentStack {
+    /**
+     * Sets this stack's items, and freezes the instance.
+     * @param items {*} Items to push to this stack upon initialization, the last item is on top.
+     */
+    constructor(...items) {
+        let top = null;
+        for (const item of items) {
+            top = Object.freeze({value: item, next: top});
+        }
+        /**
+         * This stack's top node. Each node points to the node below it.
+         * @type {{value: *, next: Object|null}|null}
+         * @private
+         */
+        this._top = top;
+        /**
+         * The number of values in this stack.
+         * @type {number}
+         */
+        this.size = items.length;
+        Object.freeze(this);
+    }
+
+    /**
+     * Compares this stack to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a persistent stack with the same elements in the same order, or an array of
+     * these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each stack element, from bottom to top.
+     * @param callback {Function} Function to execute on each element.
+     */
+    forEach(callback) {
+        Array.from(this).forEach((value, index) => callback(value, index));
+    }
+
+    /**
+     * @return {number} A hash code of this stack's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a boolean indicating whether an element with the specified value exists in this stack.
+     * @param value {*} The value to test for presence in the this stack.
+     * @return {boolean} True if an element with the specified value exists in this stack, false otherwise.
+     */
+    includes(value) {
+        for (let node = this._top; node !== null; node = node.next) {
+            if (node.value === value) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @return {boolean} True if this stack is empty, false otherwise.
+     */
+    isEmpty() {
+        return this.size <= 0;
+    }
+
+    /**
+     * @return {*} The value at the top of this stack, undefined if the stack is empty.
+     */
+    peek() {
+        return this.isEmpty() ? undefined : this._top.value;
+    }
+
+    /**
+     * Removes the top element. Use peek to read it.
+     * @return {PersistentStack} A new stack without the top element, sharing all other nodes with this stack.
+     */
+    pop() {
+        return this.isEmpty() ? this : PersistentStack._create(this._top.next, this.size - 1);
+    }
+
+    /**
+     * Adds one or more elements to the top of the stack, the last item ends on top.
+     * @param items {*} The elements to add.
+     * @return {PersistentStack} A new stack with the added elements, sharing all nodes of this stack.
+     */
+    push(...items) {
+        let top = this._top;
+        for (const item of items) {
+            top = Object.freeze({value: item, next: top});
+        }
+        return PersistentStack._create(top, this.size + items.length);
+    }
+
+    /**
+     * Returns the JSON representation of this stack, used by JSON.stringify.
+     * @return {{class: string, items: Array}} JSON representation of this stack, with items from bottom to top.
+     */
+    toJSON() {
+        return {class: "PersistentStack", items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this stack, from bottom to top.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this stack, from top to bottom.
+     */
+    * reverse() {
+        for (let node = this._top; node !== null; node = node.next) {
+            yield node.value;
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this stack, from bottom to top.
+     */
+    * values() {
+        yield* Array.from(this.reverse()).reverse();
+    }
+
+    /**
+     * Specifies the default iterator for stack.
+     * @return {Generator} A new Iterator object that contains the values in this stack, from bottom to top.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Creates a new stack instance from an existing top node, without copying.
+     * @param top {{value: *, next: Object|null}|null} The top node of the new stack.
+     * @param size {number} The number of nodes from top to bottom.
+     * @return {PersistentStack} A new stack instance.
+     * @private
+     */
+    static _create(top, size) {
+        const stack = Object.create(PersistentStack.prototype);
+        stack._top = top;
+        stack.size = size;
+        return Object.freeze(stack);
+    }
+
+    /**
+     * Creates a new stack instance from an array-like or iterable object. The last item is on top.
+     * @param arrayLike {*} An array-like or iterable object to convert to stack.
+     * @return {PersistentStack} A new stack instance.
+     */
+    static from(arrayLike) {
+        return new PersistentStack(...Array.from(arrayLike));
+    }
+
+    /**
+     * Creates a new stack instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {PersistentStack} A new stack instance.
+     * @throws {TypeError} If json does not represent a persistent stack.
+     */
+    static fromJSON(json) {
+        return new PersistentStack(...parseJSON(json, "PersistentStack").items);
+    }
+
+    /**
+     * Creates a new stack instance from a variable number of arguments. The last item is on top.
+     * @param items {*} Elements used to create the stack.
+     * @return {PersistentStack} A new stack instance.
+     */
+    static of(...items) {
+        return new PersistentStack(...items);
+    }
+}
+
+export default PersistentStack;
\ No newline at end of file
@@ -1,5 +1,7 @@
 import LinkedListNode from "./LinkedListNode";
-import {COMPARE, isInitialized} from "../common/utils";
+import ChangeEmitter from "../common/ChangeEmitter";
+import {CHANGE, COMPARE, isInitialized, parseJSON, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
 
 /**
  * Implementation of a doubly linked list. A linear collection, in which the elements are not stored
@@ -28,9 +30,69 @@ class LinkedList {
          * @type {number}
          */
         this.size = 0;
+        /**
+         * Notifies about this list's changes, created once this list is observed.
+         * @type {ChangeEmitter|undefined}
+         * @private
+         */
+        this._changes = undefined;
+        /**
+         * Marks the nodes of this linked list, see _owns. Nodes moved in from another list keep that list's mark,
+         * whose parent is then set to this mark, so that moving them stays O(1).
+         * @type {{list: LinkedList|null, parent: Object|null}}
+         * @private
+         */
+        this._mark = {list: this, parent: null};
         isInitialized(items) && this.push(...items);
     }
 
+    /**
+     * Returns a live, read-only view of this linked list, without copying. The view exposes only query and iteration
+     * members, and reflects later changes to this linked list. Nodes are not exposed, as they may be used to modify it.
+     * @return {Object} A read-only view of this linked list.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this linked list is called, or a property is
+     * assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
+    /**
+     * Applies several changes, and notifies the subscribers once with all of their change records.
+     * @param callback {Function} Applies the changes, receives this linked list.
+     * @return {*} The result of callback.
+     */
+    batch(callback) {
+        return this._changes ? this._changes.batch(() => callback(this)) : callback(this);
+    }
+
+    /**
+     * Removes all elements from the linked list.
+     */
+    clear() {
+        if (this.size > 0) {
+            this._change(() => ({type: CHANGE.CLEAR, values: [...this]}), () => {
+                // Detaches all nodes at once, by unmarking this list's mark, which they all lead to.
+                this._mark.list = null;
+                this._mark = {list: this, parent: null};
+                this.head = null;
+                this.tail = null;
+                this.size = 0;
+            });
+        }
+    }
+
+    /**
+     * Compares this linked list to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a linked list of the same class and type, with the same elements in the same
+     * order, or an array of these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
     /**
      * Creates a new linked list with all elements that pass the test implemented by the provided function.
      * @param callback {Function} To test each element of the linked list.
@@ -123,26 +185,36 @@ class LinkedList {
     }
 
     /**
-     * Gets a node by its index in the linked list.
+     * Gets a node by its index in the linked list. Walks from the nearer end, so at most size / 2 nodes are visited.
      * @param index {number} Index to get node from.
      * @return {LinkedListNode|undefined} The node if found, undefined otherwise.
      */
     getNodeByIndex(index) {
         if (index >= 0 && index < this.size) {
-            let node = this.head;
-            let i = 0;
-            while (isInitialized(node)) {
-                if (i === index) {
-                    return node;
-                } else {
+            let node;
+            if (index < this.size / 2) {
+                node = this.head;
+                for (let i = 0; i < index; i++) {
                     node = node.next;
-                    i++;
+                }
+            } else {
+                node = this.tail;
+                for (let i = this.size - 1; i > index; i--) {
+                    node = node.prev;
                 }
             }
+            return node;
         }
         return undefined;
     }
 
+    /**
+     * @return {number} A hash code of this linked list's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
     /**
      * Returns a boolean indicating whether an element with the specified value exists in a linked list.
      * @param value {*} The value to test for presence in the linked list.
@@ -161,6 +233,105 @@ class LinkedList {
         return node ? node.index : -1;
     }
 
+    /**
+     * Adds one or more elements to the linked list at a specified index, before the element currently at that index.
+     * @param index {number} Index to insert elements at, between 0 and size (inclusive).
+     * @param items {*} The elements to insert.
+     * @return {number|undefined} The new size property of this linked list if index is valid, undefined otherwise.
+     */
+    insert(index, ...items) {
+        if (index === this.size) {
+            return this.push(...items);
+        }
+        return this.insertBefore(this.getNodeByIndex(index), ...items);
+    }
+
+    /**
+     * Adds one or more elements to the linked list after a node, in order.
+     * @param node {LinkedListNode} Node of this linked list to insert elements after.
+     * @param items {*} The elements to insert.
+     * @return {number|undefined} The new size property of this linked list if node is set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
+     */
+    insertAfter(node, ...items) {
+        if (this._checkNode(node)) {
+            const record = () => ({type: CHANGE.ADD, index: this._indexOfNode(node) + 1, values: items});
+            return this._change(record, () => {
+                let prev = node;
+                for (const item of items) {
+                    const current = new LinkedListNode(item);
+                    this._link(prev, current, current);
+                    prev = current;
+                    this.size++;
+                }
+                return this.size;
+            }, this.size);
+        }
+        return undefined;
+    }
+
+    /**
+     * Adds one or more elements to the linked list before a node, in order.
+     * @param node {LinkedListNode} Node of this linked list to insert elements before.
+     * @param items {*} The elements to insert.
+     * @return {number|undefined} The new size property of this linked list if node is set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
+     */
+    insertBefore(node, ...items) {
+        if (this._checkNode(node)) {
+            const record = () => ({type: CHANGE.ADD, index: this._indexOfNode(node), values: items});
+            return this._change(record, () => {
+                for (const item of items) {
+                    const current = new LinkedListNode(item);
+                    this._link(node.prev, current, current);
+                    this.size++;
+                }
+                return this.size;
+            }, this.size);
+        }
+        return undefined;
+    }
+
+    /**
+     * Moves all nodes of another linked list into this linked list after a node, at O(1).
+     * The other linked list is left empty, and its nodes keep their identity.
+     * @param node {LinkedListNode} Node of this linked list to insert the other list after.
+     * @param list {LinkedList} The linked list to move nodes from.
+     * @return {number|undefined} The new size property of this linked list if node is set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
+     */
+    insertListAfter(node, list) {
+        if (this._checkNode(node)) {
+            return this._linkList(node, list);
+        }
+        return undefined;
+    }
+
+    /**
+     * Moves all nodes of another linked list into this linked list before a node, at O(1).
+     * The other linked list is left empty, and its nodes keep their identity.
+     * @param node {LinkedListNode} Node of this linked list to insert the other list before.
+     * @param list {LinkedList} The linked list to move nodes from.
+     * @return {number|undefined} The new size property of this linked list if node is set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
+     */
+    insertListBefore(node, list) {
+        if (this._checkNode(node)) {
+            return this._linkList(node.prev, list);
+        }
+        return undefined;
+    }
+
+    /**
+     * Adds an interceptor, which is called with each change record before the change is applied. If the interceptor
+     * returns false, the change is vetoed: it is not applied, and the changing method returns as if nothing changed.
+     * @param interceptor {Function} Receives a change record, returns false to veto the change.
+     * @return {Function} Removes the interceptor.
+     */
+    intercept(interceptor) {
+        return this._emitter().intercept(interceptor);
+    }
+
     /**
      * Creates a new linked list populated with the results of calling a provided function on every element in
      * the calling linked list.
@@ -176,6 +347,46 @@ class LinkedList {
         return list;
     }
 
+    /**
+     * Moves a node to the end of the linked list, at O(1).
+     * @param node {LinkedListNode} Node of this linked list to move.
+     * @return {LinkedListNode|undefined} The moved node if set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
+     */
+    moveToBack(node) {
+        if (this._checkNode(node)) {
+            const record = () => this._sortRecord(values => {
+                values.push(...values.splice(this._indexOfNode(node), 1));
+            });
+            return this._change(record, () => {
+                this._unlink(node);
+                this._link(this.tail, node, node);
+                return node;
+            });
+        }
+        return undefined;
+    }
+
+    /**
+     * Moves a node to the beginning of the linked list, at O(1).
+     * @param node {LinkedListNode} Node of this linked list to move.
+     * @return {LinkedListNode|undefined} The moved node if set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
+     */
+    moveToFront(node) {
+        if (this._checkNode(node)) {
+            const record = () => this._sortRecord(values => {
+                values.unshift(...values.splice(this._indexOfNode(node), 1));
+            });
+            return this._change(record, () => {
+                this._unlink(node);
+                this._link(null, node, node);
+                return node;
+            });
+        }
+        return undefined;
+    }
+
     /**
      * Removes the last element from a linked list.
      * @return {*|undefined} The removed element from the linked list, undefined if the array is empty.
@@ -190,18 +401,17 @@ class LinkedList {
      * @return {number} The new size property of this linked list.
      */
     push(...items) {
-        for (const item of items) {
-            const node = new LinkedListNode(item);
-            if (!isInitialized(this.head)) {
-                this.head = node;
-            } else {
-                this.tail.next = node;
-                node.prev = this.tail;
-            }
-            this.tail = node;
-            this.size++;
+        if (items.length <= 0) {
+            return this.size;
         }
-        return this.size;
+        return this._change(() => ({type: CHANGE.ADD, index: this.size, values: items}), () => {
+            for (const item of items) {
+                const node = new LinkedListNode(item);
+                this._link(this.tail, node, node);
+                this.size++;
+            }
+            return this.size;
+        }, this.size);
     }
 
     /**
@@ -218,21 +428,16 @@ class LinkedList {
      * Removes a node from the linked list.
      * @param node {LinkedListNode} Node to remove.
      * @return {*|undefined} The value that was removed if node is set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list, e.g. if it was already removed.
      */
     removeByNode(node) {
-        if (isInitialized(node)) {
-            if (node === this.head) {
-                this.head = node.next;
-            } else {
-                node.prev.next = node.next;
-            }
-            if (node === this.tail) {
-                this.tail = node.prev;
-            } else {
-                node.next.prev = node.prev;
-            }
-            this.size--;
-            return node.value;
+        if (this._checkNode(node)) {
+            const record = () => ({type: CHANGE.REMOVE, index: this._indexOfNode(node), values: [node.value]});
+            return this._change(record, () => {
+                this._unlink(node);
+                this.size--;
+                return node.value;
+            });
         }
         return undefined;
     }
@@ -251,6 +456,43 @@ class LinkedList {
         return undefined;
     }
 
+    /**
+     * Removes a range of consecutive elements from the linked list. The range is unlinked at once, at O(1) once its
+     * ends are found.
+     * @param start {number} Index of the first element to remove.
+     * @param count {number} Number of elements to remove, defaults to all elements from start to the end.
+     * @return {Array} An array containing the removed values, empty if start is not found.
+     */
+    removeRange(start, count = this.size - start) {
+        const removed = [];
+        const first = this.getNodeByIndex(start);
+        let last = null;
+        for (let node = first; isInitialized(node) && removed.length < count; node = node.next) {
+            removed.push(node.value);
+            last = node;
+        }
+        if (!isInitialized(last)) {
+            return removed;
+        }
+        return this._change(() => ({type: CHANGE.REMOVE, index: start, values: removed}), () => {
+            if (first === this.head) {
+                this.head = last.next;
+            } else {
+                first.prev.next = last.next;
+            }
+            if (last === this.tail) {
+                this.tail = first.prev;
+            } else {
+                last.next.prev = first.prev;
+            }
+            for (let node = first; node !== last.next; node = node.next) {
+                node._mark = null;
+            }
+            this.size -= removed.length;
+            return removed;
+        }, []);
+    }
+
     /**
      * Finds the first element in the linked list with specified value, and removes it.
      * @param value {*} The value to find and remove from the linked list.
@@ -280,11 +522,14 @@ class LinkedList {
      * @param node {LinkedListNode} Node to assign value for.
      * @param value {*} Value to assign to node.
      * @return {*|undefined} The assigned value if set, undefined otherwise.
+     * @throws {TypeError} If node is not a node of this linked list.
      */
     setByNode(node, value) {
-        if (isInitialized(node)) {
-            node.value = value;
-            return value;
+        if (this._checkNode(node)) {
+            const record = () => ({
+                type: CHANGE.SET, index: this._indexOfNode(node), values: [value], oldValues: [node.value]
+            });
+            return this._change(record, () => node.value = value);
         } else {
             return undefined;
         }
@@ -299,43 +544,124 @@ class LinkedList {
     }
 
     /**
-     * Sorts the elements of a linked list in place and returns the linked list. Implemented with Bubble Sort algorithm.
+     * Sorts the elements of a linked list in place and returns the linked list. Implemented with Merge Sort algorithm,
+     * at O(n log n). The sort is stable, and relinks the nodes instead of swapping their values, so each node keeps
+     * its value.
      * @param compareFunction {Function} Specifies a function that defines the sort order. If omitted, the linked list
      * elements are converted to strings, then sorted according to each character's Unicode code point value.
      * @return {LinkedList} The sorted linked list. Note that the linked list is sorted in place, and no copy is made.
      */
     sort(compareFunction = undefined) {
         const compare = compareFunction || COMPARE.DEFAULT;
-        return bubbleSort.call(this);
+        // Array.prototype.sort is stable as well, so the record's values match the order of the merge sort.
+        return this._change(() => this._sortRecord(values => values.sort(compare)), () => {
+            this.head = mergeSort(this.head, this.size);
+            // Merge only relinks next pointers, so prev pointers and tail are restored in a single pass.
+            let prev = null;
+            for (let node = this.head; isInitialized(node); node = node.next) {
+                node.prev = prev;
+                prev = node;
+            }
+            this.tail = prev;
+            return this;
+        }, this);
+
+        /**
+         * Merge Sort algorithm implementation. Sorts a chain of nodes by their next pointers.
+         * @param head {LinkedListNode|null} The first node of the chain.
+         * @param size {number} The number of nodes in the chain.
+         * @return {LinkedListNode|null} The first node of the sorted chain.
+         */
+        function mergeSort(head, size) {
+            if (size <= 1) {
+                isInitialized(head) && (head.next = null);
+                return head;
+            }
+            const half = Math.floor(size / 2);
+            let middle = head;
+            for (let i = 0; i < half; i++) {
+                middle = middle.next;
+            }
+            return merge(mergeSort(head, half), mergeSort(middle, size - half));
+        }
 
         /**
-         * Bubble Sort algorithm implementation.
-         * @return {LinkedList} The sorted linked list.
+         * Merges two sorted chains of nodes. On equal values, nodes from the left chain come first.
+         * @param left {LinkedListNode|null} The first node of the left chain.
+         * @param right {LinkedListNode|null} The first node of the right chain.
+         * @return {LinkedListNode|null} The first node of the merged chain.
          */
-        function bubbleSort() {
-            let swapped = true;
-            let largest = null;
-            if (isInitialized(this.head)) {
-                while (swapped) {
-                    swapped = false;
-                    let current = this.head;
-                    while (current.next !== largest) {
-                        if (compare(current.value, current.next.value) > 0) {
-                            let temp = current.value;
-                            current.value = current.next.value;
-                            current.next.value = temp;
-                            swapped = true;
-                        }
-                        current = current.next;
-                    }
-                    largest = current;
+        function merge(left, right) {
+            const sentinel = {next: null};
+            let last = sentinel;
+            while (isInitialized(left) && isInitialized(right)) {
+                if (compare(left.value, right.value) <= 0) {
+                    last.next = left;
+                    left = left.next;
+                } else {
+                    last.next = right;
+                    right = right.next;
                 }
+                last = last.next;
             }
-            return this;
+            last.next = isInitialized(left) ? left : right;
+            return sentinel.next;
         }
     }
 
 
+    /**
+     * Swaps the positions of two nodes in the linked list, at O(1). The nodes keep their values.
+     * @param nodeA {LinkedListNode} Node of this linked list to swap.
+     * @param nodeB {LinkedListNode} Node of this linked list to swap.
+     * @return {LinkedList} This linked list.
+     * @throws {TypeError} If a node is not a node of this linked list.
+     */
+    swap(nodeA, nodeB) {
+        if (this._checkNode(nodeA) && this._checkNode(nodeB) && nodeA !== nodeB) {
+            const record = () => this._sortRecord(values => {
+                const [a, b] = [this._indexOfNode(nodeA), this._indexOfNode(nodeB)];
+                [values[a], values[b]] = [values[b], values[a]];
+            });
+            return this._change(record, () => {
+                if (nodeB.next === nodeA) {
+                    [nodeA, nodeB] = [nodeB, nodeA];
+                }
+                const prevA = nodeA.prev;
+                if (nodeA.next === nodeB) {
+                    this._unlink(nodeB);
+                    this._link(prevA, nodeB, nodeB);
+                } else {
+                    this._unlink(nodeA);
+                    this._link(nodeB, nodeA, nodeA);
+                    this._unlink(nodeB);
+                    this._link(prevA, nodeB, nodeB);
+                }
+                return this;
+            }, this);
+        }
+        return this;
+    }
+
+    /**
+     * Adds a listener, which is called with an array of change records after the linked list changes. A single
+     * change, such as push(...items) or sort(), yields a single record.
+     * @param listener {Function} Receives an array of change records.
+     * @return {Function} Removes the listener.
+     */
+    subscribe(listener) {
+        return this._emitter().subscribe(listener);
+    }
+
+    /**
+     * Returns the JSON representation of this linked list, used by JSON.stringify. Contains the values only, so nodes'
+     * prev and next pointers do not make it cyclic.
+     * @return {{class: string, items: Array}} JSON representation of this linked list.
+     */
+    toJSON() {
+        return {class: "LinkedList", items: [...this]};
+    }
+
     /**
      * @return {string} String representation of this linked list.
      * @override
@@ -350,18 +676,17 @@ class LinkedList {
      * @return {number} The new size property of this linked list.
      */
     unshift(...items) {
-        for (let i = items.length - 1; i >= 0; i--) {
-            const node = new LinkedListNode(items[i]);
-            if (!isInitialized(this.tail)) {
-                this.tail = node;
-            } else {
-                this.head.prev = node;
-                node.next = this.head;
-            }
-            this.head = node;
-            this.size++;
+        if (items.length <= 0) {
+            return this.size;
         }
-        return this.size;
+        return this._change(() => ({type: CHANGE.ADD, index: 0, values: items}), () => {
+            for (let i = items.length - 1; i >= 0; i--) {
+                const node = new LinkedListNode(items[i]);
+                this._link(null, node, node);
+                this.size++;
+            }
+            return this.size;
+        }, this.size);
     }
 
     /**
@@ -435,6 +760,175 @@ class LinkedList {
         return this.values();
     }
 
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this linked list.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "size", "asReadonly", "equals", "filter", "find", "findIndex", "forEach", "get", "hashCode", "includes",
+            "indexOf", "map", "subscribe", "toJSON", "toString", "entries", "keys", "reverse", "values",
+            Symbol.iterator
+        ];
+    }
+
+    /**
+     * Applies a change to this linked list, and notifies about it if observed.
+     * @param createRecord {Function} Returns the change record, called only if observed.
+     * @param apply {Function} Applies the change, and returns the result of the changing method.
+     * @param vetoed {*} The result to return if the change was vetoed.
+     * @return {*} The result of apply, or vetoed if the change was vetoed.
+     * @private
+     */
+    _change(createRecord, apply, vetoed = undefined) {
+        return this._changes ? this._changes.apply(createRecord, apply, vetoed) : apply();
+    }
+
+    /**
+     * Checks that a node, if set, is a node of this linked list.
+     * @param node {LinkedListNode|null} The node to check.
+     * @return {boolean} True if node is set, false otherwise.
+     * @throws {TypeError} If node is set, but is not a node of this linked list, e.g. a node of another list or a
+     * removed node.
+     * @private
+     */
+    _checkNode(node) {
+        if (!isInitialized(node)) {
+            return false;
+        } else if (!this._owns(node)) {
+            throw new TypeError("Invalid node: expected a node of this linked list, which was not removed.");
+        }
+        return true;
+    }
+
+    /**
+     * @return {ChangeEmitter} The emitter of this linked list's changes, created on first use.
+     * @private
+     */
+    _emitter() {
+        return this._changes || (this._changes = new ChangeEmitter());
+    }
+
+    /**
+     * Finds the index of a node of this linked list, at O(n). Used for change records only.
+     * @param node {LinkedListNode} Node of this linked list.
+     * @return {number} The index of the node, -1 if not found.
+     * @private
+     */
+    _indexOfNode(node) {
+        let index = 0;
+        for (let current = this.head; isInitialized(current); current = current.next) {
+            if (current === node) {
+                return index;
+            }
+            index++;
+        }
+        return -1;
+    }
+
+    /**
+     * Links a chain of nodes after a node of this linked list, and marks its ends as nodes of this linked list. The
+     * nodes within a chain moved from another list lead to this list's mark through that list's mark.
+     * @param prev {LinkedListNode|null} The node to link the chain after, null to link it at the beginning.
+     * @param first {LinkedListNode} The first node of the chain.
+     * @param last {LinkedListNode} The last node of the chain.
+     * @private
+     */
+    _link(prev, first, last) {
+        const next = isInitialized(prev) ? prev.next : this.head;
+        first._mark = this._mark;
+        last._mark = this._mark;
+        first.prev = prev;
+        last.next = next;
+        if (isInitialized(prev)) {
+            prev.next = first;
+        } else {
+            this.head = first;
+        }
+        if (isInitialized(next)) {
+            next.prev = last;
+        } else {
+            this.tail = last;
+        }
+    }
+
+    /**
+     * Moves all nodes of another linked list after a node of this linked list, and empties the other list. If either
+     * list's interceptors veto the move, neither list is changed nor notified.
+     * @param prev {LinkedListNode|null} The node to link the nodes after, null to link them at the beginning.
+     * @param list {LinkedList} The linked list to move nodes from.
+     * @return {number} The new size property of this linked list.
+     * @private
+     */
+    _linkList(prev, list) {
+        if (list !== this && isInitialized(list.head)) {
+            const index = () => isInitialized(prev) ? this._indexOfNode(prev) + 1 : 0;
+            return ChangeEmitter.applyAll([
+                [this._changes, () => ({type: CHANGE.ADD, index: index(), values: [...list]})],
+                [list._changes, () => ({type: CHANGE.CLEAR, values: [...list]})]
+            ], () => {
+                list._mark.parent = this._mark;
+                list._mark = {list, parent: null};
+                this._link(prev, list.head, list.tail);
+                this.size += list.size;
+                list.head = null;
+                list.tail = null;
+                list.size = 0;
+                return this.size;
+            }, this.size);
+        }
+        return this.size;
+    }
+
+    /**
+     * Follows a node's mark to its root mark, which belongs to the linked list holding the node. Compresses the path,
+     * so later lookups are O(1).
+     * @param node {LinkedListNode} The node to test.
+     * @return {boolean} True if node is a node of this linked list, false otherwise.
+     * @private
+     */
+    _owns(node) {
+        let mark = node._mark;
+        while (isInitialized(mark) && isInitialized(mark.parent)) {
+            mark = mark.parent;
+        }
+        node._mark = mark;
+        return isInitialized(mark) && mark.list === this;
+    }
+
+    /**
+     * Creates a sort change record, from this linked list's current values and their new order.
+     * @param reorder {Function} Receives a copy of this linked list's values, and reorders it in place.
+     * @return {{type: string, index: number, values: Array, oldValues: Array}} The sort change record.
+     * @private
+     */
+    _sortRecord(reorder) {
+        const oldValues = [...this];
+        const values = [...oldValues];
+        reorder(values);
+        return {type: CHANGE.SORT, index: 0, values, oldValues};
+    }
+
+    /**
+     * Unlinks a node from this linked list, and unmarks it. Does not update size. The node keeps its own pointers, so
+     * an iteration which is at the node when it is removed continues with the next node.
+     * @param node {LinkedListNode} The node to unlink.
+     * @private
+     */
+    _unlink(node) {
+        if (node === this.head) {
+            this.head = node.next;
+        } else {
+            node.prev.next = node.next;
+        }
+        if (node === this.tail) {
+            this.tail = node.prev;
+        } else {
+            node.next.prev = node.prev;
+        }
+        node._mark = null;
+    }
+
     /**
      * Creates a new, shallow-copied linked list instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to linked list.
@@ -444,6 +938,16 @@ class LinkedList {
         return new LinkedList(...arrayLike);
     }
 
+    /**
+     * Creates a new linked list instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {LinkedList} A new linked list instance.
+     * @throws {TypeError} If json does not represent a linked list.
+     */
+    static fromJSON(json) {
+        return new LinkedList(...parseJSON(json, "LinkedList").items);
+    }
+
     /**
      * Creates a new linked list instance from a variable number of arguments.
      * @param items {*} Elements used to create the linked list.
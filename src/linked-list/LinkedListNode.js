@@ -16,6 +16,12 @@ class LinkedListNode {
         this._prev = null;
         /** @private */
         this._next = null;
+        /**
+         * The mark of the linked list which holds this node, null if it is not in a linked list.
+         * @type {{list: LinkedList|null, parent: Object|null}|null}
+         * @private
+         */
+        this._mark = null;
     }
 
     /**
@@ -1,4 +1,6 @@
-import {getArrayType, getType, isInitialized, isType} from "../common/utils";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, isType, parseJSON, setDefaultCompare, typeFromJSON
+} from "../common/utils";
 import LinkedList from "./LinkedList";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
 
@@ -11,24 +13,84 @@ import ErrorTypeSafe from "../error/ErrorTypeSafe";
 class TypeSafeLinkedList extends LinkedList {
     /**
      * Initializes TypeSafeLinkedList, sets type and items.
-     * @param type {string} Type to use for this linked list.
+     * @param type {string|Function|TypeDescriptor} Type to use for this linked list.
      * @param items {T} Items to set to linked list.
      * @throws {ErrorTypeSafe} If some items are not of type <T>.
      * @template T
      */
     constructor(type, ...items) {
-        if (isInitialized(items) && getArrayType(items) !== type) {
+        if (!isArrayOfType(items, type)) {
             throw new ErrorTypeSafe("initialize", items, type);
         }
         super()
         /**
          * This list type.
-         * @type {string}
+         * @type {string|Function|TypeDescriptor}
          */
         this.type = type;
         this.push(...items);
     }
 
+    /**
+     * Adds one or more elements to the TypeSafeLinkedList after a node, in order.
+     * @param node {LinkedListNode} Node of this TypeSafeLinkedList to insert elements after.
+     * @param items {T} The elements to insert.
+     * @return {number|undefined} The new size property of this TypeSafeLinkedList if node is set, undefined otherwise.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @override
+     */
+    insertAfter(node, ...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.insertAfter(node, ...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds one or more elements to the TypeSafeLinkedList before a node, in order.
+     * @param node {LinkedListNode} Node of this TypeSafeLinkedList to insert elements before.
+     * @param items {T} The elements to insert.
+     * @return {number|undefined} The new size property of this TypeSafeLinkedList if node is set, undefined otherwise.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @override
+     */
+    insertBefore(node, ...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.insertBefore(node, ...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Moves all nodes of another linked list into this TypeSafeLinkedList after a node. O(1) if the other list is a
+     * TypeSafeLinkedList of the same type, otherwise its items are validated first.
+     * @param node {LinkedListNode} Node of this TypeSafeLinkedList to insert the other list after.
+     * @param list {LinkedList} The linked list to move nodes from.
+     * @return {number|undefined} The new size property of this TypeSafeLinkedList if node is set, undefined otherwise.
+     * @throws {ErrorTypeSafe} If some items of the other list are not of type <T>.
+     * @override
+     */
+    insertListAfter(node, list) {
+        this._validateList(list);
+        return super.insertListAfter(node, list);
+    }
+
+    /**
+     * Moves all nodes of another linked list into this TypeSafeLinkedList before a node. O(1) if the other list is a
+     * TypeSafeLinkedList of the same type, otherwise its items are validated first.
+     * @param node {LinkedListNode} Node of this TypeSafeLinkedList to insert the other list before.
+     * @param list {LinkedList} The linked list to move nodes from.
+     * @return {number|undefined} The new size property of this TypeSafeLinkedList if node is set, undefined otherwise.
+     * @throws {ErrorTypeSafe} If some items of the other list are not of type <T>.
+     * @override
+     */
+    insertListBefore(node, list) {
+        this._validateList(list);
+        return super.insertListBefore(node, list);
+    }
+
     /**
      * Creates a new TypeSafeLinkedList populated with the results of calling a provided function on every element in
      * the calling TypeSafeLinkedList.
@@ -59,7 +121,7 @@ class TypeSafeLinkedList extends LinkedList {
      * @override
      */
     push(...items) {
-        if (getArrayType(items) === this.type) {
+        if (isArrayOfType(items, this.type)) {
             return super.push(...items);
         } else {
             throw new ErrorTypeSafe("add", items, this.type);
@@ -98,6 +160,17 @@ class TypeSafeLinkedList extends LinkedList {
         }
     }
 
+    /**
+     * Sorts the elements of a TypeSafeLinkedList in place, implemented with Merge Sort algorithm.
+     * If compareFunction is omitted, provides type specific callback.
+     * @param compareFunction {Function} Specifies a function that defines the sort order.
+     * @return {TypeSafeLinkedList} The sorted TypeSafeLinkedList.
+     * @override
+     */
+    sort(compareFunction = undefined) {
+        return super.sort(compareFunction || setDefaultCompare(this.type));
+    }
+
     /**
      * Adds one or more elements to the beginning of a TypeSafeLinkedList.
      * @param items {T} The elements to add to the front of the TypeSafeLinkedList.
@@ -106,13 +179,56 @@ class TypeSafeLinkedList extends LinkedList {
      * @override
      */
     unshift(...items) {
-        if (getArrayType(items) === this.type) {
+        if (isArrayOfType(items, this.type)) {
             return super.unshift(...items);
         } else {
             throw new ErrorTypeSafe("add", items, this.type);
         }
     }
 
+    /**
+     * Validates the items of a linked list about to be moved into this TypeSafeLinkedList.
+     * @param list {LinkedList} The linked list to validate.
+     * @throws {ErrorTypeSafe} If some items of the list are not of type <T>.
+     * @private
+     */
+    _validateList(list) {
+        if (list.type !== this.type) {
+            const items = Array.from(list);
+            if (!isArrayOfType(items, this.type)) {
+                throw new ErrorTypeSafe("add", items, this.type);
+            }
+        }
+    }
+
+    /**
+     * Adds items to the end of this list without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>, in order.
+     * @return {TypeSafeLinkedList<T>} This list.
+     * @protected
+     */
+    _load(items) {
+        items.forEach(item => super.push(item));
+        return this;
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this linked list.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat("type");
+    }
+
+    /**
+     * @return {{class: string, type: string, items: T[]}} JSON representation of this TypeSafeLinkedList.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeLinkedList", type: getTypeName(this.type)});
+    }
+
     /**
      * Creates a new, shallow-copied TypeSafeLinkedList instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeLinkedList.
@@ -129,6 +245,21 @@ class TypeSafeLinkedList extends LinkedList {
         }
     }
 
+    /**
+     * Creates a new TypeSafeLinkedList instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeLinkedList} A new TypeSafeLinkedList instance.
+     * @throws {TypeError} If json does not represent a TypeSafeLinkedList, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {type, items} = parseJSON(json, "TypeSafeLinkedList");
+        return new TypeSafeLinkedList(typeFromJSON(type, options.types), ...items);
+    }
+
     /**
      * Creates a new TypeSafeLinkedList instance from a variable number of arguments.
      * @param items {*} Elements used to create the TypeSafeLinkedList.
@@ -0,0 +1,293 @@
+import LinkedList from "../linked-list/LinkedList";
+import {equals, hashCode} from "../common/equality";
+import {parseJSON} from "../common/utils";
+
+/**
+ * Compares keys structurally, the default equals option of hash collections.
+ * @param a {*} The first key.
+ * @param b {*} The second key.
+ * @return {boolean} True if the keys are deeply equal, false otherwise.
+ */
+const deepEquals = (a, b) => equals(a, b, {deep: true});
+
+/**
+ * Implementation of a hash map. A key-value store like the built-in Map, which compares keys with an equals function
+ * instead of by reference, so structurally equal objects, arrays and collections are the same key by default.
+ * Keys are grouped in buckets by their hash code, which provides get, set and delete efficiency at O(1) on average.
+ * Keys must not be modified while in the map, as their hash code would change.
+ * @extends {Object}
+ */
+class HashMap {
+    /**
+     * Sets this map's options and entries.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} equals compares two keys, and hash returns
+     * an integer hash code of a key, which is the same for equal keys. Both default to structural equality (see
+     * common/equality). ordered iterates entries in insertion order, default true. Otherwise entries are iterated
+     * by bucket, which saves the order bookkeeping.
+     * @param entries {Array} Key/value pairs to set upon initialization.
+     */
+    constructor(options = {}, ...entries) {
+        /**
+         * This map's equals, hash and ordered options.
+         * @type {{equals: Function, hash: Function, ordered: boolean}}
+         */
+        this.options = Object.freeze({
+            equals: options.equals || deepEquals,
+            hash: options.hash || hashCode,
+            ordered: options.ordered !== false
+        });
+        /**
+         * Maps each hash code to the entries of the keys with that hash code.
+         * @type {Map<number, Object[]>}
+         * @private
+         */
+        this._buckets = new Map();
+        /**
+         * This map's entries in insertion order, if ordered.
+         * @type {LinkedList|null}
+         * @private
+         */
+        this._order = this.options.ordered ? new LinkedList() : null;
+        /**
+         * The number of entries in this map.
+         * @type {number}
+         * @private
+         */
+        this._size = 0;
+        entries.forEach(([key, value]) => this.set(key, value));
+    }
+
+    /**
+     * Returns the number of entries in this map.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Removes all entries from this map.
+     */
+    clear() {
+        for (const bucket of this._buckets.values()) {
+            bucket.forEach(entry => entry.removed = true);
+        }
+        this._buckets.clear();
+        this._order && this._order.clear();
+        this._size = 0;
+    }
+
+    /**
+     * Removes an entry from this map.
+     * @param key {*} The key of the entry to remove.
+     * @return {boolean} True if the entry existed and was removed, false otherwise.
+     */
+    delete(key) {
+        const hash = this.options.hash(key);
+        const bucket = this._buckets.get(hash) || [];
+        const index = bucket.findIndex(entry => this.options.equals(entry.key, key));
+        if (index < 0) {
+            return false;
+        }
+        const [entry] = bucket.splice(index, 1);
+        entry.removed = true;
+        bucket.length > 0 || this._buckets.delete(hash);
+        this._order && this._order.removeByNode(entry.node);
+        this._size--;
+        return true;
+    }
+
+    /**
+     * Compares this map to another collection or array, see equals in common/equality. Keys are compared with this
+     * map's equals option, and values as set by options.deep.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a map of the same class and types, with the same entries in any order, false
+     * otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each entry.
+     * @param callback {Function} Function to execute on each entry, receives value, key and this map.
+     */
+    forEach(callback) {
+        for (const [key, value] of this.entries()) {
+            callback(value, key, this);
+        }
+    }
+
+    /**
+     * @param key {*} The key of the entry.
+     * @return {*|undefined} The value of the entry if found, undefined otherwise.
+     */
+    get(key) {
+        const entry = this._find(key);
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * Returns a boolean indicating whether an entry with the specified key exists.
+     * @param key {*} The key to test for presence in this map.
+     * @return {boolean} True if the entry exists, false otherwise.
+     */
+    has(key) {
+        return this._find(key) !== undefined;
+    }
+
+    /**
+     * @return {number} A hash code of this map's entries, which is the same for equal maps.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Sets a value for a key. An existing entry keeps its key and position, and gets the new value.
+     * @param key {*} The key of the entry.
+     * @param value {*} The value of the entry.
+     * @return {HashMap} This map.
+     */
+    set(key, value) {
+        const entry = this._find(key);
+        if (entry) {
+            entry.value = value;
+            return this;
+        }
+        const hash = this.options.hash(key);
+        const added = {key, value, node: null, removed: false};
+        this._buckets.has(hash) ? this._buckets.get(hash).push(added) : this._buckets.set(hash, [added]);
+        if (this._order) {
+            this._order.push(added);
+            added.node = this._order.tail;
+        }
+        this._size++;
+        return this;
+    }
+
+    /**
+     * Returns the JSON representation of this map, used by JSON.stringify. The equals and hash options are functions,
+     * and are not included.
+     * @return {{class: string, ordered: boolean, items: Array[]}} JSON representation of this map, with key/value
+     * pairs.
+     */
+    toJSON() {
+        return {class: "HashMap", ordered: this.options.ordered, items: Array.from(this.entries())};
+    }
+
+    /**
+     * @return {string} String representation of this map.
+     * @override
+     */
+    toString() {
+        return Array.from(this.entries(), ([key, value]) => `${key}=${value}`).toString();
+    }
+
+    /**
+     * Entries may be deleted while iterating, like Map: the iteration continues, and skips the deleted entries which
+     * were not visited yet.
+     * @example
+     * map.forEach((value, key) => map.delete(key)) // visits every entry, and empties the map
+     * @return {Generator<Array>} A new Iterator object that contains the key/value pairs of this map, in insertion
+     * order if ordered.
+     */
+    * entries() {
+        const entries = this._order ? this._order : Array.from(this._buckets.values()).flat();
+        for (const entry of entries) {
+            if (!entry.removed) {
+                yield [entry.key, entry.value];
+            }
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the keys of this map.
+     */
+    * keys() {
+        for (const [key] of this.entries()) {
+            yield key;
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values of this map.
+     */
+    * values() {
+        for (const [, value] of this.entries()) {
+            yield value;
+        }
+    }
+
+    /**
+     * Specifies the default iterator for map.
+     * @return {Generator} A new Iterator object that contains the key/value pairs of this map.
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Compares this map's entries to another map's entries, ignoring order.
+     * @param other {HashMap} The map to compare to.
+     * @param compare {Function} Compares two values.
+     * @return {boolean} True if other has the same keys, with equal values, false otherwise.
+     * @protected
+     */
+    _equalTo(other, compare) {
+        const entries = Array.from(other);
+        return entries.length === this.size
+            && entries.every(([key, value]) => this.has(key) && compare(this.get(key), value))
+            && new HashMap(this.options, ...entries).size === this.size;
+    }
+
+    /**
+     * Finds the entry of a key.
+     * @param key {*} The key of the entry.
+     * @return {{key: *, value: *, node: LinkedListNode|null, removed: boolean}|undefined} The entry if found, undefined
+     * otherwise.
+     * @private
+     */
+    _find(key) {
+        const bucket = this._buckets.get(this.options.hash(key));
+        return bucket && bucket.find(entry => this.options.equals(entry.key, key));
+    }
+
+    /**
+     * @return {number} A hash code of this map's entries, independent of their order.
+     * @protected
+     */
+    _hashCode() {
+        let hash = 0;
+        for (const [key, value] of this.entries()) {
+            hash = (hash + (this.options.hash(key) ^ hashCode(value))) | 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Creates a new map instance from an iterable of key/value pairs.
+     * @param entries {Iterable<Array>} Key/value pairs to set to the map.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} The map's options, see constructor.
+     * @return {HashMap} A new map instance.
+     */
+    static from(entries, options = {}) {
+        return new HashMap(options, ...entries);
+    }
+
+    /**
+     * Creates a new map instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{equals: Function, hash: Function}} The map's equals and hash options, if not the default.
+     * @return {HashMap} A new map instance.
+     * @throws {TypeError} If json does not represent a hash map.
+     */
+    static fromJSON(json, options = {}) {
+        const {ordered, items} = parseJSON(json, "HashMap");
+        return new HashMap({equals: options.equals, hash: options.hash, ordered}, ...items);
+    }
+}
+
+export default HashMap;
\ No newline at end of file
@@ -0,0 +1,393 @@
+import RedBlackTree from "../tree/RedBlackTree";
+import RedBlackTreeRange from "../tree/RedBlackTreeRange";
+import {compareFromJSON, compareToJSON, parseJSON, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a sorted map, a key-value store which keeps its entries in the compare function's sort order of
+ * their keys. Keys which compare equal (0) are the same key. Implemented with a red-black tree, which provides get, set
+ * and delete efficiency at O(log n), as well as order statistics of keys (rank, select and countInRange).
+ * @extends {Object}
+ */
+class SortedMap {
+    /**
+     * Sets this map's compare function and entries.
+     * @param compareFunc {Function} Specifies a function that defines the sort order of keys, e.g. from COMPARE. If
+     * omitted, keys are converted to strings, and sorted according to each character's Unicode code point value.
+     * @param entries {Array} Key/value pairs to set upon initialization.
+     */
+    constructor(compareFunc = undefined, ...entries) {
+        /**
+         * This map's entries, as the nodes of a tree.
+         * @type {RedBlackTree|RedBlackTreeRange}
+         * @private
+         */
+        this._tree = new RedBlackTree(compareFunc);
+        entries.forEach(([key, value]) => this.set(key, value));
+    }
+
+    /**
+     * Returns this map's compare function.
+     * @return {Function}
+     * @type {Function}
+     */
+    get compare() {
+        return this._tree.compare;
+    }
+
+    /**
+     * Returns the number of entries in this map.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._tree.size;
+    }
+
+    /**
+     * Returns a live, read-only view of this map, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this map.
+     * @return {Object} A read-only view of this map.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this map is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, [
+            "compare", "size", "asReadonly", "ceiling", "countInRange", "entries", "equals", "first", "floor",
+            "forEach", "get", "has", "hashCode", "headMap", "higher", "keys", "last", "lower", "range", "rank",
+            "reversed", "select", "subMap", "tailMap", "toJSON", "toString", "values", Symbol.iterator
+        ]);
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {Array|undefined} The [key, value] pair of the least key greater than or equal to key, undefined if none.
+     */
+    ceiling(key) {
+        return SortedMap._entryOf(this._tree.ceiling(key));
+    }
+
+    /**
+     * Removes all entries from this map.
+     */
+    clear() {
+        this._tree.clear();
+    }
+
+    /**
+     * Counts the entries whose keys are from fromKey to toKey, at O(log n).
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} inclusive includes the bounds themselves, default true. Pass
+     * [fromInclusive, toInclusive] to set each bound.
+     * @return {number} The number of entries within the bounds.
+     */
+    countInRange(fromKey, toKey, options = {}) {
+        return this._tree.countRange(fromKey, toKey, options);
+    }
+
+    /**
+     * Removes an entry from this map.
+     * @param key {*} The key of the entry to remove.
+     * @return {boolean} True if the entry existed and was removed, false otherwise.
+     */
+    delete(key) {
+        return this._tree.remove(key) !== null;
+    }
+
+    /**
+     * Compares this map to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a SortedMap with the same entries in the same order, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * @return {Array|undefined} The [key, value] pair of the least key, undefined if this map is empty.
+     */
+    first() {
+        return SortedMap._entryOf(this._tree.first());
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {Array|undefined} The [key, value] pair of the greatest key less than or equal to key, undefined if none.
+     */
+    floor(key) {
+        return SortedMap._entryOf(this._tree.floor(key));
+    }
+
+    /**
+     * Executes a provided function once for each entry, in order of keys.
+     * @param callback {Function} Function to execute on each entry, receives value, key and this map.
+     */
+    forEach(callback) {
+        for (const [key, value] of this) {
+            callback(value, key, this);
+        }
+    }
+
+    /**
+     * @param key {*} The key of the entry.
+     * @return {*|undefined} The value of the entry if found, undefined otherwise.
+     */
+    get(key) {
+        const node = this._tree.find(key);
+        return node ? node.value : undefined;
+    }
+
+    /**
+     * Returns a boolean indicating whether an entry with the specified key exists.
+     * @param key {*} The key to test for presence in this map.
+     * @return {boolean} True if the entry exists, false otherwise.
+     */
+    has(key) {
+        return this._tree.find(key) !== null;
+    }
+
+    /**
+     * @return {number} A hash code of this map's entries, which is the same for equal maps.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a live view of the entries whose keys are less than toKey, backed by this map, so changes to either are
+     * seen by both. Setting a key out of bounds on the view throws.
+     * @param toKey {*} The upper bound.
+     * @param inclusive {boolean} Includes toKey itself if true, default false.
+     * @return {SortedMap} A SortedMap view with the same compare function, and the entries whose keys are less than
+     * toKey.
+     */
+    headMap(toKey, inclusive = false) {
+        return this._view(null, {key: toKey, inclusive});
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {Array|undefined} The [key, value] pair of the least key strictly greater than key, undefined if none.
+     */
+    higher(key) {
+        return SortedMap._entryOf(this._tree.higher(key));
+    }
+
+    /**
+     * @return {Array|undefined} The [key, value] pair of the greatest key, undefined if this map is empty.
+     */
+    last() {
+        return SortedMap._entryOf(this._tree.last());
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {Array|undefined} The [key, value] pair of the greatest key strictly less than key, undefined if none.
+     */
+    lower(key) {
+        return SortedMap._entryOf(this._tree.lower(key));
+    }
+
+    /**
+     * Removes the entry of the least key from this map.
+     * @return {Array|undefined} The removed [key, value] pair, undefined if this map is empty.
+     */
+    pollFirst() {
+        const node = this._tree.first();
+        return node ? SortedMap._entryOf(this._tree.removeNode(node)) : undefined;
+    }
+
+    /**
+     * Removes the entry of the greatest key from this map.
+     * @return {Array|undefined} The removed [key, value] pair, undefined if this map is empty.
+     */
+    pollLast() {
+        const node = this._tree.last();
+        return node ? SortedMap._entryOf(this._tree.removeNode(node)) : undefined;
+    }
+
+    /**
+     * @param key {*} The key to rank.
+     * @return {number} The number of keys strictly less than key, at O(log n).
+     */
+    rank(key) {
+        return this._tree.rank(key);
+    }
+
+    /**
+     * @param index {number} A zero-based index in sort order of keys.
+     * @return {Array|undefined} The [key, value] pair at index, at O(log n), undefined if index is out of range.
+     */
+    select(index) {
+        return SortedMap._entryOf(this._tree.select(index));
+    }
+
+    /**
+     * Sets a value for a key. An existing entry keeps its key, and gets the new value.
+     * @param key {*} The key of the entry.
+     * @param value {*} The value of the entry.
+     * @return {SortedMap} This map.
+     */
+    set(key, value) {
+        this._tree.insert(key, value);
+        return this;
+    }
+
+    /**
+     * Returns a live view of the entries whose keys are from fromKey to toKey, backed by this map, see headMap.
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param fromInclusive {boolean} Includes fromKey itself if true, default true.
+     * @param toInclusive {boolean} Includes toKey itself if true, default false.
+     * @return {SortedMap} A SortedMap view with the same compare function, and the entries whose keys are from fromKey
+     * to toKey.
+     */
+    subMap(fromKey, toKey, fromInclusive = true, toInclusive = false) {
+        return this._view({key: fromKey, inclusive: fromInclusive}, {key: toKey, inclusive: toInclusive});
+    }
+
+    /**
+     * Returns a live view of the entries whose keys are greater than fromKey, backed by this map, see headMap.
+     * @param fromKey {*} The lower bound.
+     * @param inclusive {boolean} Includes fromKey itself if true, default true.
+     * @return {SortedMap} A SortedMap view with the same compare function, and the entries whose keys are greater than
+     * fromKey.
+     */
+    tailMap(fromKey, inclusive = true) {
+        return this._view({key: fromKey, inclusive}, null);
+    }
+
+    /**
+     * Returns the JSON representation of this map, used by JSON.stringify. The compare function is represented by its
+     * key in COMPARE, or null if it is a custom function.
+     * @return {{class: string, compare: string|null, items: Array[]}} JSON representation of this map, with key/value
+     * pairs in order.
+     */
+    toJSON() {
+        return {class: "SortedMap", compare: compareToJSON(this.compare), items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this map.
+     * @override
+     */
+    toString() {
+        return Array.from(this, ([key, value]) => `${key}=${value}`).toString();
+    }
+
+    /**
+     * @return {Generator<Array>} A new Iterator object that contains the key/value pairs of this map, in order of keys.
+     */
+    * entries() {
+        for (const node of this._tree.nodes()) {
+            yield [node.key, node.value];
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the keys of this map, in order.
+     */
+    * keys() {
+        for (const node of this._tree.nodes()) {
+            yield node.key;
+        }
+    }
+
+    /**
+     * Iterates the entries whose keys are from fromKey to toKey.
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[], reverse: boolean}} inclusive includes the bounds themselves,
+     * default true. Pass [fromInclusive, toInclusive] to set each bound. reverse iterates from toKey down to fromKey.
+     * @return {Generator<Array>} A new Iterator object that contains the key/value pairs within the bounds.
+     */
+    * range(fromKey, toKey, options = {}) {
+        for (const node of this._tree.range(fromKey, toKey, options)) {
+            yield [node.key, node.value];
+        }
+    }
+
+    /**
+     * @return {Generator<Array>} A new Iterator object that contains the key/value pairs of this map, in reverse order
+     * of keys.
+     */
+    * reversed() {
+        for (const node of this._tree.nodes(null, null, true)) {
+            yield [node.key, node.value];
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values of this map, in order of keys.
+     */
+    * values() {
+        for (const node of this._tree.nodes()) {
+            yield node.value;
+        }
+    }
+
+    /**
+     * Specifies the default iterator for map.
+     * @return {Generator} A new Iterator object that contains the key/value pairs of this map.
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Creates a live view of the entries whose keys are within bounds, backed by this map's tree.
+     * @param lower {{key: *, inclusive: boolean}|null} The lower bound, null for none.
+     * @param upper {{key: *, inclusive: boolean}|null} The upper bound, null for none.
+     * @return {SortedMap} A SortedMap with the same compare function, which views the entries within both these
+     * bounds and this map's own bounds, if it is a view itself.
+     * @private
+     */
+    _view(lower, upper) {
+        const map = new SortedMap(this.compare);
+        map._tree = new RedBlackTreeRange(this._tree, lower, upper);
+        return map;
+    }
+
+    /**
+     * Lists this map's keys and values, flattened, for equals and hashCode.
+     * @return {Array} This map's keys and values, in order.
+     * @protected
+     */
+    _elements() {
+        return Array.from(this).flat();
+    }
+
+    /**
+     * @param node {RedBlackTreeNode|null} A node of this map's tree.
+     * @return {Array|undefined} The [key, value] pair of node, undefined if node is null.
+     * @private
+     */
+    static _entryOf(node) {
+        return node ? [node.key, node.value] : undefined;
+    }
+
+    /**
+     * Creates a new SortedMap instance from an iterable of key/value pairs.
+     * @param entries {Iterable<Array>} Key/value pairs to set to the map.
+     * @param compareFunction {Function} Specifies a function that defines the sort order of keys.
+     * @return {SortedMap} A new SortedMap instance.
+     */
+    static from(entries, compareFunction = undefined) {
+        return new SortedMap(compareFunction, ...entries);
+    }
+
+    /**
+     * Creates a new SortedMap instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{compare: Function}} compare is the custom compare function, required if one was used.
+     * @return {SortedMap} A new SortedMap instance.
+     * @throws {TypeError} If json does not represent a SortedMap, or its compare function is unknown.
+     */
+    static fromJSON(json, options = {}) {
+        const {compare, items} = parseJSON(json, "SortedMap");
+        return new SortedMap(compareFromJSON(compare, options.compare), ...items);
+    }
+}
+
+export default SortedMap;
\ No newline at end of file
@@ -0,0 +1,114 @@
+import HashMap from "./HashMap";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, isType, parseJSON, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+
+/**
+ * A type safe extension of HashMap. Implementation of a hash map, which validates the type of its keys and values.
+ * @extends {HashMap}
+ */
+class TypeSafeHashMap extends HashMap {
+    /**
+     * Sets this map's key and value types, options and entries.
+     * @param keyType {string|Function|TypeDescriptor} Type to use for this map's keys.
+     * @param valueType {string|Function|TypeDescriptor} Type to use for this map's values.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} The map's options, see HashMap.
+     * @param entries {Array} Key/value pairs of types <K> and <V> to set upon initialization.
+     * @throws {ErrorTypeSafe} If some keys are not of type <K>, or some values are not of type <V>.
+     * @template K, V
+     */
+    constructor(keyType, valueType, options = {}, ...entries) {
+        const keys = entries.map(([key]) => key);
+        const values = entries.map(([, value]) => value);
+        if (!isArrayOfType(keys, keyType)) {
+            throw new ErrorTypeSafe("initialize", keys, keyType);
+        } else if (!isArrayOfType(values, valueType)) {
+            throw new ErrorTypeSafe("initialize", values, valueType);
+        }
+        super(options);
+        /**
+         * This map's keys type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.keyType = keyType;
+        /**
+         * This map's values type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.valueType = valueType;
+        entries.forEach(([key, value]) => super.set(key, value));
+    }
+
+    /**
+     * Sets a value of type <V> for a key of type <K>.
+     * @param key {K} The key of the entry.
+     * @param value {V} The value of the entry.
+     * @return {TypeSafeHashMap} This map.
+     * @throws {ErrorTypeSafe} If key is not of type <K>, or value is not of type <V>.
+     * @override
+     */
+    set(key, value) {
+        if (!isType(key, this.keyType)) {
+            throw new ErrorTypeSafe("assignKey", key, this.keyType);
+        } else if (!isType(value, this.valueType)) {
+            throw new ErrorTypeSafe("assignValue", value, this.valueType);
+        }
+        return super.set(key, value);
+    }
+
+    /**
+     * @return {Object} JSON representation of this map, including its key and value type names.
+     * @override
+     */
+    toJSON() {
+        const types = {keyType: getTypeName(this.keyType), valueType: getTypeName(this.valueType)};
+        return Object.assign(super.toJSON(), {class: "TypeSafeHashMap"}, types);
+    }
+
+    /**
+     * Creates a new TypeSafeHashMap instance from an iterable of key/value pairs, whose keys are of the same type, and
+     * values are of the same type.
+     * @param entries {Iterable<Array>} Key/value pairs to set to the map.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} The map's options, see HashMap.
+     * @return {TypeSafeHashMap} A new TypeSafeHashMap instance.
+     * @throws {ErrorTypeSafe} If some keys or some values are not of the same type.
+     * @override
+     */
+    static from(entries, options = {}) {
+        const pairs = Array.from(entries);
+        const keys = pairs.map(([key]) => key);
+        const values = pairs.map(([, value]) => value);
+        const keyType = getArrayType(keys);
+        const valueType = getArrayType(values);
+        if (!isInitialized(keyType)) {
+            throw new ErrorTypeSafe("initialize", keys, getType(keys[0]));
+        } else if (!isInitialized(valueType)) {
+            throw new ErrorTypeSafe("initialize", values, getType(values[0]));
+        }
+        return new TypeSafeHashMap(keyType, valueType, options, ...pairs);
+    }
+
+    /**
+     * Creates a new TypeSafeHashMap instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object, equals: Function, hash: Function}} types maps the names of constructor and
+     * descriptor types to the types themselves. Type strings from TYPE are resolved without it. equals and hash are
+     * the map's options, if not the default.
+     * @return {TypeSafeHashMap} A new TypeSafeHashMap instance.
+     * @throws {TypeError} If json does not represent a TypeSafeHashMap, or its types are unknown.
+     * @throws {ErrorTypeSafe} If some keys or values are not of the types.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {keyType, valueType, ordered, items} = parseJSON(json, "TypeSafeHashMap");
+        return new TypeSafeHashMap(
+            typeFromJSON(keyType, options.types),
+            typeFromJSON(valueType, options.types),
+            {equals: options.equals, hash: options.hash, ordered},
+            ...items
+        );
+    }
+}
+
+export default TypeSafeHashMap;
\ No newline at end of file
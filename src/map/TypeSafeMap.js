@@ -0,0 +1,243 @@
+import {
+    TYPE, getArrayType, getType, getTypeName, isInitialized, isType, parseJSON, readonlyView, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * A type safe extension of built-in Map object, that stores entries with keys of type <K> and values of type <V>.
+ * @extends {Map}
+ */
+class TypeSafeMap extends Map {
+    /**
+     * Sets Map object key and value types, and entries.
+     * @param keyType {string|Function|TypeDescriptor} Type to use for this Map's keys.
+     * @param valueType {string|Function|TypeDescriptor} Type to use for this Map's values.
+     * @param entries {Iterable<Array>} Key/value pairs of types <K> and <V> to set to Map.
+     * @throws {ErrorTypeSafe} If some keys are not of type <K>, or some values are not of type <V>.
+     * @template K, V
+     */
+    constructor(keyType, valueType, entries = []) {
+        super();
+        /**
+         * This Map keys type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.keyType = keyType;
+        /**
+         * This Map values type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.valueType = valueType;
+        for (const [key, value] of entries) {
+            this.set(key, value);
+        }
+    }
+
+    /**
+     * Returns a live, read-only view of this TypeSafeMap, without copying. The view exposes only query and iteration
+     * members, and reflects later changes to this TypeSafeMap.
+     * @return {Object} A read-only view of this TypeSafeMap.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this TypeSafeMap is called, or a property is
+     * assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, [
+            "keyType", "valueType", "size", "asReadonly", "entries", "equals", "filter", "forEach", "get",
+            "getOrDefault", "has", "hashCode", "keys", "mapValues", "toJSON", "toObject", "values", Symbol.iterator
+        ]);
+    }
+
+    /**
+     * Returns the value of a key. If the key is not in this TypeSafeMap, computes its value with mappingFunction and
+     * sets it, unless it is undefined.
+     * @param key {K} The key of the entry.
+     * @param mappingFunction {Function} Receives the key, returns its value of type <V>.
+     * @return {V|undefined} The existing or computed value.
+     * @throws {ErrorTypeSafe} If key is not of type <K>, or the computed value is not of type <V>.
+     */
+    computeIfAbsent(key, mappingFunction) {
+        if (!this.has(key)) {
+            const value = mappingFunction(key);
+            if (value !== undefined) {
+                this.set(key, value);
+            }
+            return value;
+        }
+        return this.get(key);
+    }
+
+    /**
+     * Compares this TypeSafeMap to another collection or array, see equals in common/equality. Values are compared as
+     * set by options.deep.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a TypeSafeMap of the same key and value types, with the same entries in any
+     * order, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Creates a new TypeSafeMap with all entries that pass the test implemented by the provided function.
+     * @param callback {Function} Tests each entry, receives value, key and this TypeSafeMap. Return true to keep the
+     * entry, false otherwise.
+     * @param thisArg {*} Value to use as this when executing callback.
+     * @return {TypeSafeMap<K, V>} A new TypeSafeMap with the entries that pass the test.
+     */
+    filter(callback, thisArg = undefined) {
+        const entries = [...this].filter(([key, value]) => callback.call(thisArg, value, key, this));
+        return new TypeSafeMap(this.keyType, this.valueType, entries);
+    }
+
+    /**
+     * @param key {K} The key of the entry.
+     * @param defaultValue {*} The value to return if the key is not in this TypeSafeMap.
+     * @return {V|*} The value of the key if found, defaultValue otherwise.
+     */
+    getOrDefault(key, defaultValue) {
+        return this.has(key) ? this.get(key) : defaultValue;
+    }
+
+    /**
+     * @return {number} A hash code of this TypeSafeMap's entries, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Creates a new map with the same keys, and values which are the results of calling a provided function on every
+     * entry.
+     * @param callback {Function} Produces a value of the new map, receives value, key and this TypeSafeMap.
+     * @param thisArg {*} Value to use as this when executing callback.
+     * @return {TypeSafeMap|Map} A new map with each value being the result of the callback function.
+     * Returns TypeSafeMap if the results are of the same type, otherwise a standard Map.
+     */
+    mapValues(callback, thisArg = undefined) {
+        const entries = [...this].map(([key, value]) => [key, callback.call(thisArg, value, key, this)]);
+        const type = getArrayType(entries.map(([, value]) => value));
+        if (isInitialized(type)) {
+            return new TypeSafeMap(this.keyType, type, entries);
+        } else {
+            return new Map(entries);
+        }
+    }
+
+    /**
+     * Sets a value of type <V> for a key of type <K>.
+     * @param key {K} The key of the entry.
+     * @param value {V} The value of the entry.
+     * @return {TypeSafeMap} The TypeSafeMap object.
+     * @throws {ErrorTypeSafe} If key is not of type <K>, or value is not of type <V>.
+     * @override
+     */
+    set(key, value) {
+        if (!isType(key, this.keyType)) {
+            throw new ErrorTypeSafe("assignKey", key, this.keyType);
+        } else if (!isType(value, this.valueType)) {
+            throw new ErrorTypeSafe("assignValue", value, this.valueType);
+        }
+        return super.set(key, value);
+    }
+
+    /**
+     * Returns the JSON representation of this TypeSafeMap, used by JSON.stringify. Unlike a Map, which is serialized
+     * to {}, it contains the entries.
+     * @return {{class: string, keyType: string, valueType: string, items: Array[]}} JSON representation of this
+     * TypeSafeMap, with its type names and key/value pairs in insertion order.
+     */
+    toJSON() {
+        const types = {keyType: getTypeName(this.keyType), valueType: getTypeName(this.valueType)};
+        return Object.assign({class: "TypeSafeMap"}, types, {items: [...this]});
+    }
+
+    /**
+     * Converts this TypeSafeMap to a plain object. Keys which are not strings or symbols are converted to strings.
+     * @return {Object<string, V>} A new object with a property for each entry.
+     */
+    toObject() {
+        return Object.fromEntries(this);
+    }
+
+    /**
+     * Sets the value of a key to the result of updater.
+     * @param key {K} The key of the entry.
+     * @param updater {Function} Receives the current value (or defaultValue) and the key, returns the new value of type
+     * <V>.
+     * @param defaultValue {*} The value to pass to updater if the key is not in this TypeSafeMap.
+     * @return {TypeSafeMap} The TypeSafeMap object.
+     * @throws {ErrorTypeSafe} If key is not of type <K>, or the new value is not of type <V>.
+     */
+    update(key, updater, defaultValue = undefined) {
+        return this.set(key, updater(this.getOrDefault(key, defaultValue), key));
+    }
+
+    /**
+     * Creates a new TypeSafeMap instance from an iterable of key/value pairs, whose keys are of the same type, and
+     * values are of the same type.
+     * @param entries {Iterable<Array>} Key/value pairs to set to the TypeSafeMap.
+     * @return {TypeSafeMap} A new TypeSafeMap instance.
+     * @throws {ErrorTypeSafe} If some keys or some values are not of the same type.
+     */
+    static from(entries) {
+        const pairs = Array.from(entries);
+        const keys = pairs.map(([key]) => key);
+        const values = pairs.map(([, value]) => value);
+        const keyType = getArrayType(keys);
+        const valueType = getArrayType(values);
+        if (!isInitialized(keyType)) {
+            throw new ErrorTypeSafe("initialize", keys, getType(keys[0]));
+        } else if (!isInitialized(valueType)) {
+            throw new ErrorTypeSafe("initialize", values, getType(values[0]));
+        }
+        return new TypeSafeMap(keyType, valueType, pairs);
+    }
+
+    /**
+     * Creates a new TypeSafeMap instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeMap} A new TypeSafeMap instance.
+     * @throws {TypeError} If json does not represent a TypeSafeMap, or its types are unknown.
+     * @throws {ErrorTypeSafe} If some keys or values are not of the types.
+     */
+    static fromJSON(json, options = {}) {
+        const {keyType, valueType, items} = parseJSON(json, "TypeSafeMap");
+        return new TypeSafeMap(typeFromJSON(keyType, options.types), typeFromJSON(valueType, options.types), items);
+    }
+
+    /**
+     * Creates a new TypeSafeMap instance from the own enumerable string keyed properties of a plain object.
+     * @param object {Object} The object to convert.
+     * @param valueType {string|Function|TypeDescriptor} Type to use for the values. If omitted, the type of the
+     * object's values, which must be of the same type.
+     * @return {TypeSafeMap<string, V>} A new TypeSafeMap instance, with String keys.
+     * @throws {ErrorTypeSafe} If some values are not of valueType, or of the same type if omitted.
+     */
+    static fromObject(object, valueType = undefined) {
+        const entries = Object.entries(object);
+        const values = entries.map(([, value]) => value);
+        const type = valueType || getArrayType(values);
+        if (isInitialized(type)) {
+            return new TypeSafeMap(TYPE.STRING, type, entries);
+        } else {
+            throw new ErrorTypeSafe("initialize", values, getType(values[0]));
+        }
+    }
+
+    /**
+     * Creates a new TypeSafeMap instance from a variable number of key/value pairs, whose keys are of the same type,
+     * and values are of the same type.
+     * @param entries {Array} Key/value pairs used to create the TypeSafeMap.
+     * @return {TypeSafeMap} A new TypeSafeMap instance.
+     * @throws {ErrorTypeSafe} If some keys or some values are not of the same type.
+     */
+    static of(...entries) {
+        return TypeSafeMap.from(entries);
+    }
+}
+
+export default TypeSafeMap;
\ No newline at end of file
@@ -0,0 +1,378 @@
+import ErrorCapacity from "../error/ErrorCapacity";
+import {OVERFLOW, isInitialized, parseJSON, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * The abstract constructor which all typed array constructors extend.
+ * @type {Function}
+ */
+const TYPED_ARRAY = Object.getPrototypeOf(Int8Array);
+
+/**
+ * Implementation of a fixed capacity queue, backed by a preallocated circular buffer (ring buffer).
+ * The order is First In First Out (FIFO). Provides enqueue and dequeue efficiency at O(1), with no allocation after
+ * construction (unless capacity is changed).
+ * @extends {Object}
+ */
+class CircularQueue {
+    /**
+     * Allocates this queue's buffer and sets items.
+     * @param capacity {number} The max capacity for this queue, a positive integer. There is no default.
+     * @param items {*} Items to add to this queue upon initialization, from front to back.
+     * @throws {TypeError} If capacity is missing, or is not a positive integer.
+     */
+    constructor(capacity, ...items) {
+        CircularQueue._checkCapacity(capacity);
+        /**
+         * This queue's circular buffer.
+         * @type {Array|TypedArray}
+         * @protected
+         */
+        this._buffer = new Array(capacity);
+        /**
+         * The buffer index of this queue's front.
+         * @type {number}
+         * @private
+         */
+        this._head = 0;
+        /**
+         * The number of values in this queue.
+         * @type {number}
+         * @private
+         */
+        this._size = 0;
+        /**
+         * The policy to apply when adding items to this queue at max capacity, one of OVERFLOW values.
+         * @type {string}
+         * @default OVERFLOW.EVICT_OLDEST
+         */
+        this.overflow = OVERFLOW.EVICT_OLDEST;
+        /**
+         * Called with each element that was evicted or rejected when adding items to this queue at max capacity.
+         * @type {Function|undefined}
+         */
+        this.onOverflow = undefined;
+        this.enqueue(...items);
+    }
+
+    /**
+     * Sets the max capacity for this queue. Reallocates the buffer, keeping its kind (array or typed array).
+     * @param maxCapacity {number} The max capacity for this queue, a positive integer.
+     * @throws {TypeError} If the set capacity is not a positive integer.
+     * @throws {ErrorCapacity} If the set capacity is smaller than the current size
+     */
+    set capacity(maxCapacity) {
+        CircularQueue._checkCapacity(maxCapacity);
+        if (maxCapacity >= this.size) {
+            const buffer = new this._buffer.constructor(maxCapacity);
+            let index = 0;
+            for (const value of this) {
+                buffer[index++] = value;
+            }
+            this._buffer = buffer;
+            this._head = 0;
+        } else {
+            throw new ErrorCapacity("set", this.size, maxCapacity);
+        }
+    }
+
+    /**
+     * Returns the max capacity for this queue.
+     * @return {number}
+     * @type {number}
+     */
+    get capacity() {
+        return this._buffer.length;
+    }
+
+    /**
+     * Returns the number of values in this queue.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Returns a live, read-only view of this queue, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this queue.
+     * @return {Object} A read-only view of this queue.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this queue is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
+    /**
+     * Removes the element at the front of the queue (the oldest).
+     * @return {*} The removed element from the queue, undefined if the queue is empty.
+     */
+    dequeue() {
+        if (this.isEmpty()) {
+            return undefined;
+        }
+        const value = this._buffer[this._head];
+        if (Array.isArray(this._buffer)) {
+            // Releases the reference, so the buffer doesn't keep removed values alive.
+            this._buffer[this._head] = undefined;
+        }
+        this._head = (this._head + 1) % this.capacity;
+        this._size--;
+        return value;
+    }
+
+    /**
+     * Adds one or more elements to the back of the queue, in order.
+     * If reached max capacity, for each new item applies the overflow policy (overwrites the oldest element by
+     * default).
+     * @param items {*} The elements to add to the back of the queue.
+     * @return {number} The new size property of this queue.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
+     */
+    enqueue(...items) {
+        this._reject(items);
+        for (const item of items) {
+            if (this._overflow(item)) {
+                this._buffer[this._index(this.size)] = item;
+                this._size++;
+            }
+        }
+        return this.size;
+    }
+
+    /**
+     * Compares this queue to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a circular queue with the same elements in the same order, or an array of
+     * these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each queue element, from front to back.
+     * @param callback {Function} Function to execute on each element.
+     */
+    forEach(callback) {
+        for (let i = 0; i < this.size; i++) {
+            callback(this._buffer[this._index(i)], i);
+        }
+    }
+
+    /**
+     * @return {number} A hash code of this queue's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a boolean indicating whether an element with the specified value exists in this queue.
+     * @param value {*} The value to test for presence in the this queue.
+     * @return {boolean} True if an element with the specified value exists in this queue, false otherwise.
+     */
+    includes(value) {
+        for (const item of this) {
+            if (item === value) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @return {boolean} True if this queue is empty, false otherwise.
+     */
+    isEmpty() {
+        return this.size <= 0;
+    }
+
+    /**
+     * @return {*} The value at the front of this queue (the next to be dequeued), undefined if the queue is empty.
+     */
+    peek() {
+        return this.isEmpty() ? undefined : this._buffer[this._head];
+    }
+
+    /**
+     * Returns the JSON representation of this queue, used by JSON.stringify. A typed array buffer is represented by
+     * its constructor name.
+     * @return {{class: string, capacity: number, overflow: string, buffer: string|undefined, items: Array}} JSON
+     * representation of this queue, with items from front to back.
+     */
+    toJSON() {
+        const buffer = Array.isArray(this._buffer) ? undefined : this._buffer.constructor.name;
+        return {class: "CircularQueue", capacity: this.capacity, overflow: this.overflow, buffer, items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this queue, from front to back.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this queue, from front to back.
+     */
+    * values() {
+        for (let i = 0; i < this.size; i++) {
+            yield this._buffer[this._index(i)];
+        }
+    }
+
+    /**
+     * Specifies the default iterator for queue.
+     * @return {Generator} A new Iterator object that contains the values in this queue, from front to back.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this queue.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "capacity", "size", "overflow", "asReadonly", "equals", "forEach", "hashCode", "includes", "isEmpty",
+            "peek", "toJSON", "toString", "values", Symbol.iterator
+        ];
+    }
+
+    /**
+     * @param offset {number} Position in this queue, counted from the front.
+     * @return {number} The buffer index of the position.
+     * @private
+     */
+    _index(offset) {
+        return (this._head + offset) % this.capacity;
+    }
+
+    /**
+     * Applies the overflow policy before adding an item, if reached max capacity.
+     * @param item {*} The item about to be added.
+     * @return {boolean} True if the item should be added, false if it was dropped.
+     * @private
+     */
+    _overflow(item) {
+        if (this.size < this.capacity) {
+            return true;
+        }
+        if (this.isEmpty() || this.overflow === OVERFLOW.DROP) {
+            this._notifyOverflow(item);
+            return false;
+        }
+        if (this.overflow === OVERFLOW.EVICT_NEWEST) {
+            this._size--;
+            this._notifyOverflow(this._buffer[this._index(this.size)]);
+        } else {
+            this._notifyOverflow(this.dequeue());
+        }
+        return true;
+    }
+
+    /**
+     * Applies the reject overflow policy. Rejects all items if they exceed the max capacity.
+     * @param items {*} The items about to be added.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
+     * @private
+     */
+    _reject(items) {
+        if (this.overflow === OVERFLOW.REJECT && this.size + items.length > this.capacity) {
+            items.forEach(item => this._notifyOverflow(item));
+            throw new ErrorCapacity("add", this.size, this.capacity);
+        }
+    }
+
+    /**
+     * Calls the overflow callback if set.
+     * @param item {*} The evicted or rejected item.
+     * @private
+     */
+    _notifyOverflow(item) {
+        this.onOverflow && this.onOverflow(item);
+    }
+
+    /**
+     * @param capacity {number} A max capacity for the queue.
+     * @throws {TypeError} If capacity is not a positive integer.
+     * @private
+     */
+    static _checkCapacity(capacity) {
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new TypeError(`Invalid capacity: ${capacity}. Expected a positive integer.`);
+        }
+    }
+
+    /**
+     * Creates a new, shallow-copied queue instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to queue.
+     * @param capacity {number} The max capacity for the queue, defaults to the number of items.
+     * @return {CircularQueue} A new queue instance.
+     * @throws {TypeError} If capacity is not a positive integer, e.g. if it defaults to the number of items and there
+     * are none.
+     */
+    static from(arrayLike, capacity = undefined) {
+        const array = Array.from(arrayLike);
+        return new CircularQueue(capacity === undefined ? array.length : capacity, ...array);
+    }
+
+    /**
+     * Creates a new queue instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {CircularQueue} A new queue instance, backed by the same kind of buffer.
+     * @throws {TypeError} If json does not represent a circular queue, or its buffer is not a typed array.
+     */
+    static fromJSON(json) {
+        const {capacity, overflow, buffer, items} = parseJSON(json, "CircularQueue");
+        let queue;
+        if (isInitialized(buffer)) {
+            const TypedArray = globalThis[buffer];
+            const isTypedArray = typeof TypedArray === "function" && TypedArray.prototype instanceof TYPED_ARRAY;
+            if (!isTypedArray) {
+                throw new TypeError(`Invalid buffer: ${buffer}. Expected the name of a typed array constructor.`);
+            }
+            queue = CircularQueue.typed(TypedArray, capacity, ...items);
+        } else {
+            queue = new CircularQueue(capacity, ...items);
+        }
+        isInitialized(overflow) && (queue.overflow = overflow);
+        return queue;
+    }
+
+    /**
+     * Creates a new queue instance from a variable number of arguments. The capacity is the number of items.
+     * @param items {*} Elements used to create the queue.
+     * @return {CircularQueue} A new queue instance.
+     * @throws {TypeError} If there are no items.
+     */
+    static of(...items) {
+        return new CircularQueue(items.length, ...items);
+    }
+
+    /**
+     * Creates a new queue instance backed by a typed array, for numeric data. Values are converted by the typed
+     * array, as in any typed array assignment.
+     * @example
+     * CircularQueue.typed(Float64Array, 1024)
+     * @param TypedArray {Function} The typed array constructor to use for the buffer (e.g. Float64Array).
+     * @param capacity {number} The max capacity for the queue.
+     * @param items {number|bigint} Items to add to the queue upon initialization, from front to back.
+     * @return {CircularQueue} A new queue instance.
+     * @throws {TypeError} If capacity is not a positive integer.
+     */
+    static typed(TypedArray, capacity, ...items) {
+        CircularQueue._checkCapacity(capacity);
+        const queue = new CircularQueue(1);
+        queue._buffer = new TypedArray(capacity);
+        queue.enqueue(...items);
+        return queue;
+    }
+}
+
+export default CircularQueue;
\ No newline at end of file
@@ -0,0 +1,352 @@
+import {COMPARE, compareFromJSON, compareToJSON, isInitialized, parseJSON, readonlyView} from "../common/utils";
+import ErrorCapacity from "../error/ErrorCapacity";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a priority queue, in which each element is dequeued by its priority, implemented with a binary
+ * heap. The element that comes first in the compare function's sort order has the highest priority.
+ * Provides enqueue and dequeue efficiency at O(log n), and peek at O(1).
+ * @extends {Object}
+ */
+class PriorityQueue {
+    /**
+     * Sets this queue's compare function and items.
+     * @param compareFunc {Function} Specifies a function that defines the priority order. If omitted, elements are
+     * converted to strings, and prioritized according to each character's Unicode code point value.
+     * @param items {*} Items to add to this queue upon initialization.
+     */
+    constructor(compareFunc = undefined, ...items) {
+        /**
+         * This queue compare function.
+         * @type {Function}
+         */
+        this.compare = compareFunc || COMPARE.DEFAULT;
+        /**
+         * This queue's binary heap representation.
+         * @type {Array}
+         * @protected
+         */
+        this._heap = [...items];
+        /**
+         * This queue capacity if set.
+         * @type {number|Infinity}
+         * @default Infinity
+         * @private
+         */
+        this._capacity = Infinity;
+        this._heapify();
+    }
+
+    /**
+     * Sets the max capacity for this queue.
+     * @param maxCapacity {number} The max capacity for this queue.
+     * @throws {ErrorCapacity} If the set capacity is smaller than the current size
+     */
+    set capacity(maxCapacity) {
+        if (maxCapacity >= this.size) {
+            this._capacity = maxCapacity;
+        } else {
+            throw new ErrorCapacity("set", this.size, maxCapacity);
+        }
+    }
+
+    /**
+     * Returns the max capacity for this queue is set, Infinity otherwise.
+     * @return {number|Infinity}
+     * @type {number|Infinity}
+     */
+    get capacity() {
+        return this._capacity;
+    }
+
+    /**
+     * Returns the number of values in this queue.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._heap.length;
+    }
+
+    /**
+     * Returns a live, read-only view of this queue, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this queue.
+     * @return {Object} A read-only view of this queue.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this queue is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
+    /**
+     * Removes the element with the highest priority from the queue.
+     * @return {*} The removed element from the queue, undefined if the queue is empty.
+     */
+    dequeue() {
+        const last = this._heap.pop();
+        if (this.size <= 0) {
+            return last;
+        }
+        const first = this._heap[0];
+        this._heap[0] = last;
+        this._siftDown(0);
+        return first;
+    }
+
+    /**
+     * Adds one or more elements to the queue, at their priority position.
+     * If reached max capacity, for each new item removes the element with the highest priority from the queue, so a
+     * bounded queue keeps the elements with the lowest priority (e.g. the k largest numbers with COMPARE.NUMBER).
+     * @param items {*} The elements to add to the queue.
+     * @return {number} The new size property of this queue.
+     */
+    enqueue(...items) {
+        for (const item of items) {
+            if (this.size < this.capacity) {
+                this._heap.push(item);
+                this._siftUp(this.size - 1);
+            } else if (this.size > 0 && this.compare(item, this._heap[0]) > 0) {
+                this._heap[0] = item;
+                this._siftDown(0);
+            }
+        }
+        return this.size;
+    }
+
+    /**
+     * Compares this queue to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a priority queue of the same class and type, with the same elements in the
+     * same priority order, or an array of these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each queue element, by priority order.
+     * @param callback {Function} Function to execute on each element.
+     */
+    forEach(callback) {
+        let index = 0;
+        for (const value of this) {
+            callback(value, index++);
+        }
+    }
+
+    /**
+     * @return {number} A hash code of this queue's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a boolean indicating whether an element with the specified value exists in this queue.
+     * @param value {*} The value to test for presence in the this queue.
+     * @return {boolean} True if an element with the specified value exists in this queue, false otherwise.
+     */
+    includes(value) {
+        return this._heap.includes(value);
+    }
+
+    /**
+     * @return {boolean} True if this queue is empty, false otherwise.
+     */
+    isEmpty() {
+        return this.size <= 0;
+    }
+
+    /**
+     * @return {*} The value with the highest priority in this queue.
+     */
+    peek() {
+        return this._heap[0];
+    }
+
+    /**
+     * Returns the JSON representation of this queue, used by JSON.stringify. The compare function is represented by its
+     * key in COMPARE, or null if it is a custom function. Items are in heap order, so ties keep their order on revival.
+     * @return {{class: string, compare: string|null, capacity: number, items: Array}} JSON representation of this
+     * queue.
+     */
+    toJSON() {
+        const compare = compareToJSON(this.compare);
+        return {class: "PriorityQueue", compare, capacity: this.capacity, items: [...this._heap]};
+    }
+
+    /**
+     * @return {string} String representation of this queue, by priority order.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * Replaces an element in the queue, and moves it to its new priority position. Used to decrease a key or update
+     * the priority of an element. If newValue is omitted, the element is assumed to have been mutated in place.
+     * Locating the element is O(n), moving it is O(log n).
+     * @param value {*} The element to update.
+     * @param newValue {*} The element to replace it with, defaults to value.
+     * @return {*|undefined} The assigned value if found, undefined otherwise.
+     */
+    update(value, newValue = value) {
+        const index = this._heap.indexOf(value);
+        if (index !== -1) {
+            this._heap[index] = newValue;
+            this._siftDown(this._siftUp(index));
+            return newValue;
+        }
+        return undefined;
+    }
+
+    /**
+     * Dequeues a copy of the heap lazily, at O(n) to copy it and O(log n) per value, so ties come in dequeue order.
+     * @return {Generator<*>} A new Iterator object that contains the values in this queue, by priority order.
+     */
+    * values() {
+        const heap = this._heap.slice();
+        while (heap.length > 0) {
+            const last = heap.pop();
+            if (heap.length <= 0) {
+                yield last;
+            } else {
+                const first = heap[0];
+                heap[0] = last;
+                this._siftDown(0, heap);
+                yield first;
+            }
+        }
+    }
+
+    /**
+     * Specifies the default iterator for queue.
+     * @return {Generator} A new Iterator object that contains the values in this queue, by priority order.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this queue.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "capacity", "size", "compare", "asReadonly", "equals", "forEach", "hashCode", "includes", "isEmpty", "peek",
+            "toJSON", "toString", "values", Symbol.iterator
+        ];
+    }
+
+    /**
+     * Orders the whole heap in place, implemented with bottom-up heap construction at O(n).
+     * @private
+     */
+    _heapify() {
+        for (let i = Math.floor(this.size / 2) - 1; i >= 0; i--) {
+            this._siftDown(i);
+        }
+    }
+
+    /**
+     * Moves an element down the heap, until none of its children has a higher priority.
+     * @param index {number} The index of the element to move.
+     * @param heap {Array} The heap to move the element in, defaults to this queue's heap.
+     * @return {number} The new index of the element.
+     * @private
+     */
+    _siftDown(index, heap = this._heap) {
+        while (true) {
+            const left = 2 * index + 1, right = left + 1;
+            let first = index;
+            if (left < heap.length && this.compare(heap[left], heap[first]) < 0) {
+                first = left;
+            }
+            if (right < heap.length && this.compare(heap[right], heap[first]) < 0) {
+                first = right;
+            }
+            if (first === index) {
+                return index;
+            }
+            [heap[index], heap[first]] = [heap[first], heap[index]];
+            index = first;
+        }
+    }
+
+    /**
+     * Moves an element up the heap, until its parent has a higher (or equal) priority.
+     * @param index {number} The index of the element to move.
+     * @return {number} The new index of the element.
+     * @private
+     */
+    _siftUp(index) {
+        while (index > 0) {
+            const parent = Math.floor((index - 1) / 2);
+            if (this.compare(this._heap[index], this._heap[parent]) >= 0) {
+                return index;
+            }
+            this._swap(index, parent);
+            index = parent;
+        }
+        return index;
+    }
+
+    /**
+     * Swaps two elements in the heap.
+     * @param a {number} Index of the first element.
+     * @param b {number} Index of the second element.
+     * @private
+     */
+    _swap(a, b) {
+        const temp = this._heap[a];
+        this._heap[a] = this._heap[b];
+        this._heap[b] = temp;
+    }
+
+    /**
+     * Restores this queue's settings from its JSON representation.
+     * @param json {Object} The parsed JSON representation.
+     * @return {PriorityQueue} This queue.
+     * @protected
+     */
+    _restore(json) {
+        this.capacity = isInitialized(json.capacity) ? json.capacity : Infinity;
+        return this;
+    }
+
+    /**
+     * Creates a new, shallow-copied queue instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to queue.
+     * @param compareFunction {Function} Specifies a function that defines the priority order.
+     * @return {PriorityQueue} A new queue instance.
+     */
+    static from(arrayLike, compareFunction = undefined) {
+        return new PriorityQueue(compareFunction, ...Array.from(arrayLike));
+    }
+
+    /**
+     * Creates a new queue instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{compare: Function}} compare is the custom compare function, required if one was used.
+     * @return {PriorityQueue} A new queue instance.
+     * @throws {TypeError} If json does not represent a priority queue, or its compare function is unknown.
+     */
+    static fromJSON(json, options = {}) {
+        const object = parseJSON(json, "PriorityQueue");
+        return new PriorityQueue(compareFromJSON(object.compare, options.compare), ...object.items)._restore(object);
+    }
+
+    /**
+     * Creates a new queue instance from a variable number of arguments.
+     * @param compareFunction {Function} Specifies a function that defines the priority order.
+     * @param items {*} Elements used to create the queue.
+     * @return {PriorityQueue} A new queue instance.
+     */
+    static of(compareFunction, ...items) {
+        return new PriorityQueue(compareFunction, ...items);
+    }
+}
+
+export default PriorityQueue;
\ No newline at end of file
@@ -1,5 +1,7 @@
 import LinkedList from "../linked-list/LinkedList";
 import ErrorCapacity from "../error/ErrorCapacity";
+import {OVERFLOW, isInitialized, parseJSON, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
 
 /**
  * Implementation of a linear collection which follows a particular order in which the operations are performed.
@@ -25,6 +27,17 @@ class Queue {
          * @private
          */
         this._capacity = Infinity;
+        /**
+         * The policy to apply when adding items to this queue at max capacity, one of OVERFLOW values.
+         * @type {string}
+         * @default OVERFLOW.EVICT_OLDEST
+         */
+        this.overflow = OVERFLOW.EVICT_OLDEST;
+        /**
+         * Called with each element that was evicted or rejected when adding items to this queue at max capacity.
+         * @type {Function|undefined}
+         */
+        this.onOverflow = undefined;
     }
 
     /**
@@ -58,6 +71,25 @@ class Queue {
         return this._list.size;
     }
 
+    /**
+     * Returns a live, read-only view of this queue, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this queue.
+     * @return {Object} A read-only view of this queue.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this queue is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
+    /**
+     * Applies several changes, and notifies the subscribers once with all of their change records.
+     * @param callback {Function} Applies the changes, receives this queue.
+     * @return {*} The result of callback.
+     */
+    batch(callback) {
+        return this._list.batch(() => callback(this));
+    }
+
     /**
      * Removes the last element from the queue.
      * @return {*} The removed element from the queue, undefined if the queue is empty.
@@ -68,20 +100,37 @@ class Queue {
 
     /**
      * Adds one or more elements to the beginning of the queue.
-     * If reached max capacity, for each new items removes the last element from the queue.
+     * If reached max capacity, for each new item applies the overflow policy (removes the last element by default).
      * @param items {*} The elements to add to the front of the queue.
      * @return {number} The new size property of this queue.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
      */
     enqueue(...items) {
-        for (let i = items.length - 1; i >= 0; i--) {
-            if (this.size >= this.capacity) {
-                this.dequeue();
-            }
-            this._list.unshift(items[i]);
+        this._reject(items);
+        if (this.size + items.length <= this.capacity) {
+            return this._list.unshift(...items);
         }
+        this._list.batch(() => {
+            for (let i = items.length - 1; i >= 0; i--) {
+                if (this._overflow(items[i])) {
+                    this._list.unshift(items[i]);
+                }
+            }
+        });
         return this.size;
     }
 
+    /**
+     * Compares this queue to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a queue of the same class and type, with the same elements in the same order,
+     * or an array of these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
     /**
      * Calls LinkedList.prototype.forEach method. Executes a provided function once for each queue element.
      * @param callback {Function} Function to execute on each element.
@@ -90,6 +139,13 @@ class Queue {
         this._list.forEach(callback);
     }
 
+    /**
+     * @return {number} A hash code of this queue's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
     /**
      * Returns a boolean indicating whether an element with the specified value exists in this queue.
      * @param value {*} The value to test for presence in the this queue.
@@ -106,6 +162,16 @@ class Queue {
         return this.size <= 0;
     }
 
+    /**
+     * Adds an interceptor, which is called with each change record before the change is applied. If the interceptor
+     * returns false, the change is vetoed.
+     * @param interceptor {Function} Receives a change record, returns false to veto the change.
+     * @return {Function} Removes the interceptor.
+     */
+    intercept(interceptor) {
+        return this._list.intercept(interceptor);
+    }
+
     /**
      * @return {*} The value of the head of this queue.
      */
@@ -113,6 +179,25 @@ class Queue {
         return this._list.head.value;
     }
 
+    /**
+     * Adds a listener, which is called with an array of change records after this queue changes. Records describe the
+     * changes of this queue's list, in iteration order.
+     * @param listener {Function} Receives an array of change records.
+     * @return {Function} Removes the listener.
+     */
+    subscribe(listener) {
+        return this._list.subscribe(listener);
+    }
+
+    /**
+     * Returns the JSON representation of this queue, used by JSON.stringify.
+     * @return {{class: string, capacity: number, overflow: string, items: Array}} JSON representation of this queue:
+     * its capacity, overflow policy and items from head to tail.
+     */
+    toJSON() {
+        return {class: "Queue", capacity: this.capacity, overflow: this.overflow, items: [...this]};
+    }
+
     /**
      * @return {string} String representation of this queue.
      * @override
@@ -129,6 +214,88 @@ class Queue {
         return this._list[Symbol.iterator]();
     }
 
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this queue.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "capacity", "size", "overflow", "asReadonly", "equals", "forEach", "hashCode", "includes", "isEmpty",
+            "peek", "subscribe", "toJSON", "toString", Symbol.iterator
+        ];
+    }
+
+    /**
+     * Evicts an element to make room for a new item, and calls the overflow callback.
+     * @param node {LinkedListNode} The node of the element to evict.
+     * @return {boolean} True if the element was evicted, false if the eviction was vetoed.
+     * @private
+     */
+    _evict(node) {
+        const size = this.size;
+        this._list.removeByNode(node);
+        if (this.size < size) {
+            this._notifyOverflow(node.value);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Applies the overflow policy before adding an item, if reached max capacity.
+     * @param item {*} The item about to be added.
+     * @return {boolean} True if the item should be added, false if it was dropped.
+     * @private
+     */
+    _overflow(item) {
+        if (this.size < this.capacity) {
+            return true;
+        }
+        switch (this.overflow) {
+            case OVERFLOW.DROP:
+                this._notifyOverflow(item);
+                return false;
+            case OVERFLOW.EVICT_NEWEST:
+                return this._evict(this._list.head);
+            default:
+                return this._evict(this._list.tail);
+        }
+    }
+
+    /**
+     * Applies the reject overflow policy. Rejects all items if they exceed the max capacity.
+     * @param items {*} The items about to be added.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
+     * @private
+     */
+    _reject(items) {
+        if (this.overflow === OVERFLOW.REJECT && this.size + items.length > this.capacity) {
+            items.forEach(item => this._notifyOverflow(item));
+            throw new ErrorCapacity("add", this.size, this.capacity);
+        }
+    }
+
+    /**
+     * Calls the overflow callback if set.
+     * @param item {*} The evicted or rejected item.
+     * @private
+     */
+    _notifyOverflow(item) {
+        this.onOverflow && this.onOverflow(item);
+    }
+
+    /**
+     * Restores this queue's settings from its JSON representation.
+     * @param json {Object} The parsed JSON representation.
+     * @return {Queue} This queue.
+     * @protected
+     */
+    _restore(json) {
+        this.capacity = isInitialized(json.capacity) ? json.capacity : Infinity;
+        isInitialized(json.overflow) && (this.overflow = json.overflow);
+        return this;
+    }
+
     /**
      * Creates a new, shallow-copied queue instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to queue.
@@ -138,6 +305,17 @@ class Queue {
         return new Queue(...arrayLike);
     }
 
+    /**
+     * Creates a new queue instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {Queue} A new queue instance.
+     * @throws {TypeError} If json does not represent a queue.
+     */
+    static fromJSON(json) {
+        const object = parseJSON(json, "Queue");
+        return new Queue(...object.items)._restore(object);
+    }
+
     /**
      * Creates a new queue instance from a variable number of arguments.
      * @param items {*} Elements used to create the queue.
@@ -0,0 +1,148 @@
+import PriorityQueue from "./PriorityQueue";
+import {
+    compareFromJSON, getArrayType, getType, getTypeName, isArrayOfType,
+    isInitialized, isType, parseJSON, setDefaultCompare, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+
+/**
+ * A type safe extension of PriorityQueue. Implementation of a type safe priority queue, in which each element is
+ * dequeued by its priority, implemented with a binary heap.
+ * @extends {PriorityQueue}
+ */
+class TypeSafePriorityQueue extends PriorityQueue {
+    /**
+     * Sets this queue's type, compare function and items.
+     * @param type {string|Function|TypeDescriptor} Type to use for this queue.
+     * @param compareFunc {Function} Specifies a function that defines the priority order. If omitted, provides type
+     * specific compare function.
+     * @param items {T} Items to add to this queue upon initialization.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @template T
+     */
+    constructor(type, compareFunc = undefined, ...items) {
+        if (!isArrayOfType(items, type)) {
+            throw new ErrorTypeSafe("initialize", items, type);
+        }
+        super(compareFunc || setDefaultCompare(type), ...items);
+        /**
+         * This queue type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.type = type;
+    }
+
+    /**
+     * Adds one or more elements to the TypeSafePriorityQueue, at their priority position.
+     * @param items {T} The elements to add to the TypeSafePriorityQueue.
+     * @return {number} The new size property of this TypeSafePriorityQueue.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @override
+     */
+    enqueue(...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.enqueue(...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Replaces an element in the TypeSafePriorityQueue, and moves it to its new priority position.
+     * @param value {T} The element to update.
+     * @param newValue {T} The element to replace it with, defaults to value.
+     * @return {T|undefined} The assigned value if found, undefined otherwise.
+     * @throws {ErrorTypeSafe} If newValue is not of type <T>.
+     * @override
+     */
+    update(value, newValue = value) {
+        if (isType(newValue, this.type)) {
+            return super.update(value, newValue);
+        } else {
+            throw new ErrorTypeSafe("assign", newValue, this.type);
+        }
+    }
+
+    /**
+     * Replaces this queue's items without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>, in heap order. Kept without copying.
+     * @return {TypeSafePriorityQueue<T>} This queue.
+     * @protected
+     */
+    _load(items) {
+        this._heap = items;
+        return this;
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this queue.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat("type");
+    }
+
+    /**
+     * @return {Object} JSON representation of this queue, including its type name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafePriorityQueue", type: getTypeName(this.type)});
+    }
+
+    /**
+     * Creates a new, shallow-copied TypeSafePriorityQueue instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to TypeSafePriorityQueue.
+     * @param compareFunction {Function} Specifies a function that defines the priority order.
+     * @return {TypeSafePriorityQueue} A new TypeSafePriorityQueue instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static from(arrayLike, compareFunction = undefined) {
+        const array = Array.from(arrayLike);
+        const type = getArrayType(array);
+        if (isInitialized(type)) {
+            return new TypeSafePriorityQueue(type, compareFunction, ...array);
+        } else {
+            throw new ErrorTypeSafe("initialize", array, getType(array[0]));
+        }
+    }
+
+    /**
+     * Creates a new TypeSafePriorityQueue instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object, compare: Function}} types maps the names of constructor and descriptor types to
+     * the types themselves. compare is the custom compare function, required if one was used.
+     * @return {TypeSafePriorityQueue} A new TypeSafePriorityQueue instance.
+     * @throws {TypeError} If json does not represent a TypeSafePriorityQueue, or its type or compare function is
+     * unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const object = parseJSON(json, "TypeSafePriorityQueue");
+        const type = typeFromJSON(object.type, options.types);
+        const compare = compareFromJSON(object.compare, options.compare);
+        return new TypeSafePriorityQueue(type, compare, ...object.items)._restore(object);
+    }
+
+    /**
+     * Creates a new TypeSafePriorityQueue instance from a variable number of arguments.
+     * @param compareFunction {Function} Specifies a function that defines the priority order.
+     * @param items {*} Elements used to create the TypeSafePriorityQueue.
+     * @return {TypeSafePriorityQueue} A new TypeSafePriorityQueue instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static of(compareFunction, ...items) {
+        const type = getArrayType(items);
+        if (isInitialized(type)) {
+            return new TypeSafePriorityQueue(type, compareFunction, ...items);
+        } else {
+            throw new ErrorTypeSafe("initialize", items, getType(items[0]));
+        }
+    }
+}
+
+export default TypeSafePriorityQueue;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import Queue from "./Queue";
 import TypeSafeLinkedList from "../linked-list/TypeSafeLinkedList";
-import {getArrayType, getType, isInitialized} from "../common/utils";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, parseJSON, typeFromJSON
+} from "../common/utils";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
 
 /**
@@ -12,7 +14,7 @@ import ErrorTypeSafe from "../error/ErrorTypeSafe";
 class TypeSafeQueue extends Queue {
     /**
      * Sets this queue's list, type and items.
-     * @param type {string} Type to use for this queue.
+     * @param type {string|Function|TypeDescriptor} Type to use for this queue.
      * @param items {T} Items to add to this queue upon initialization.
      * @template T
      */
@@ -28,13 +30,58 @@ class TypeSafeQueue extends Queue {
 
     /**
      * Returns this queue's type.
-     * @return {string}
-     * @type {string}
+     * @return {string|Function|TypeDescriptor}
+     * @type {string|Function|TypeDescriptor}
      */
     get type() {
         return this._list.type;
     }
 
+    /**
+     * Adds one or more elements to the beginning of the TypeSafeQueue. Items are validated before any element is
+     * evicted, so an invalid add neither evicts elements nor calls onOverflow.
+     * @param items {T} The elements to add to the beginning of the TypeSafeQueue.
+     * @return {number} The new size property of this TypeSafeQueue.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
+     * @override
+     */
+    enqueue(...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.enqueue(...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds items to this queue without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>, in the order of its JSON representation.
+     * @return {TypeSafeQueue<T>} This queue.
+     * @protected
+     */
+    _load(items) {
+        this._list._load(items);
+        return this;
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this queue.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat("type");
+    }
+
+    /**
+     * @return {Object} JSON representation of this queue, including its type name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeQueue", type: getTypeName(this.type)});
+    }
+
     /**
      * Creates a new, shallow-copied TypeSafeQueue instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeQueue.
@@ -51,6 +98,21 @@ class TypeSafeQueue extends Queue {
         }
     }
 
+    /**
+     * Creates a new TypeSafeQueue instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeQueue} A new TypeSafeQueue instance.
+     * @throws {TypeError} If json does not represent a TypeSafeQueue, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const object = parseJSON(json, "TypeSafeQueue");
+        return new TypeSafeQueue(typeFromJSON(object.type, options.types), ...object.items)._restore(object);
+    }
+
     /**
      * Creates a new TypeSafeQueue instance from a variable number of arguments.
      * @param items {*} Elements used to create the TypeSafeQueue.
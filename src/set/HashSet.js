@@ -0,0 +1,218 @@
+import HashMap from "../map/HashMap";
+import {equals, hashCode} from "../common/equality";
+import {parseJSON} from "../common/utils";
+
+/**
+ * Implementation of a hash set. Stores unique values like the built-in Set, but compares them with an equals function
+ * instead of by reference, so structurally equal objects, arrays and collections are the same value by default.
+ * Implemented with a HashMap of the values, which provides add, has and delete efficiency at O(1) on average.
+ * Values must not be modified while in the set, as their hash code would change.
+ * @extends {Object}
+ */
+class HashSet {
+    /**
+     * Sets this set's options and values.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} equals compares two values, and hash
+     * returns an integer hash code of a value, which is the same for equal values. Both default to structural equality
+     * (see common/equality). ordered iterates values in insertion order, default true.
+     * @param items {*} Values to add upon initialization.
+     */
+    constructor(options = {}, ...items) {
+        /**
+         * This set's values, as the keys of a map.
+         * @type {HashMap}
+         * @private
+         */
+        this._map = new HashMap(options);
+        items.forEach(item => this.add(item));
+    }
+
+    /**
+     * Returns this set's equals, hash and ordered options.
+     * @return {{equals: Function, hash: Function, ordered: boolean}}
+     * @type {{equals: Function, hash: Function, ordered: boolean}}
+     */
+    get options() {
+        return this._map.options;
+    }
+
+    /**
+     * Returns the number of values in this set.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._map.size;
+    }
+
+    /**
+     * Adds a value to this set, unless an equal value is already in it.
+     * @param value {*} The value to add.
+     * @return {HashSet} This set.
+     */
+    add(value) {
+        this._map.has(value) || this._map.set(value, value);
+        return this;
+    }
+
+    /**
+     * Removes all values from this set.
+     */
+    clear() {
+        this._map.clear();
+    }
+
+    /**
+     * Removes a value from this set.
+     * @param value {*} The value to remove.
+     * @return {boolean} True if an equal value existed and was removed, false otherwise.
+     */
+    delete(value) {
+        return this._map.delete(value);
+    }
+
+    /**
+     * Compares this set to another collection or array, see equals in common/equality. Values are compared with this
+     * set's equals option.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} Comparison options, see equals in common/equality.
+     * @return {boolean} True if other is a set of the same class and type, with the same values in any order, false
+     * otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each value.
+     * @param callback {Function} Function to execute on each value, receives the value twice (like Set) and this set.
+     */
+    forEach(callback) {
+        for (const value of this.values()) {
+            callback(value, value, this);
+        }
+    }
+
+    /**
+     * Returns a boolean indicating whether an equal value exists in this set.
+     * @param value {*} The value to test for presence in this set.
+     * @return {boolean} True if an equal value exists, false otherwise.
+     */
+    has(value) {
+        return this._map.has(value);
+    }
+
+    /**
+     * @return {number} A hash code of this set's values, which is the same for equal sets.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns the JSON representation of this set, used by JSON.stringify. The equals and hash options are functions,
+     * and are not included.
+     * @return {{class: string, ordered: boolean, items: Array}} JSON representation of this set.
+     */
+    toJSON() {
+        return {class: "HashSet", ordered: this.options.ordered, items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this set.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * @return {Generator<Array>} A new Iterator object that contains a [value, value] pair for each value in this set,
+     * like Set.
+     */
+    * entries() {
+        for (const value of this.values()) {
+            yield [value, value];
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this set, like Set.
+     */
+    keys() {
+        return this.values();
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this set, in insertion order if
+     * ordered.
+     */
+    values() {
+        return this._map.keys();
+    }
+
+    /**
+     * Specifies the default iterator for set.
+     * @return {Generator} A new Iterator object that contains the values in this set.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Compares this set's values to another set's values, ignoring order.
+     * @param other {HashSet} The set to compare to.
+     * @return {boolean} True if other holds the same values, each once, false otherwise.
+     * @protected
+     */
+    _equalTo(other) {
+        const values = Array.from(other);
+        return values.length === this.size && values.every(value => this.has(value))
+            && new HashSet(this.options, ...values).size === this.size;
+    }
+
+    /**
+     * @return {number} A hash code of this set's values, independent of their order.
+     * @protected
+     */
+    _hashCode() {
+        let hash = 0;
+        for (const value of this) {
+            hash = (hash + this.options.hash(value)) | 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Creates a new set instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to set.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} The set's options, see constructor.
+     * @return {HashSet} A new set instance.
+     */
+    static from(arrayLike, options = {}) {
+        return new HashSet(options, ...Array.from(arrayLike));
+    }
+
+    /**
+     * Creates a new set instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{equals: Function, hash: Function}} The set's equals and hash options, if not the default.
+     * @return {HashSet} A new set instance.
+     * @throws {TypeError} If json does not represent a hash set.
+     */
+    static fromJSON(json, options = {}) {
+        const {ordered, items} = parseJSON(json, "HashSet");
+        return new HashSet({equals: options.equals, hash: options.hash, ordered}, ...items);
+    }
+
+    /**
+     * Creates a new set instance with the default options, from a variable number of arguments.
+     * @param items {*} Values used to create the set.
+     * @return {HashSet} A new set instance.
+     */
+    static of(...items) {
+        return new HashSet({}, ...items);
+    }
+}
+
+export default HashSet;
\ No newline at end of file
@@ -0,0 +1,360 @@
+import {equals, hashCode} from "../common/equality";
+import {parseJSON} from "../common/utils";
+
+/**
+ * Implementation of a multiset (bag). Stores values like the built-in Set, but keeps a count of the occurrences of each
+ * value. Values are compared with SameValueZero, as in Set. Implemented with a Map of the counts, which provides add,
+ * remove and count efficiency at O(1).
+ * @extends {Object}
+ */
+class Multiset {
+    /**
+     * Sets this multiset's values.
+     * @param items {*} Values to add upon initialization, once per occurrence.
+     */
+    constructor(...items) {
+        /**
+         * Maps each distinct value to its number of occurrences, in insertion order.
+         * @type {Map<*, number>}
+         * @private
+         */
+        this._counts = new Map();
+        /**
+         * The number of occurrences of all values.
+         * @type {number}
+         * @private
+         */
+        this._size = 0;
+        items.forEach(item => this.add(item));
+    }
+
+    /**
+     * Returns the number of distinct values in this multiset.
+     * @return {number}
+     * @type {number}
+     */
+    get distinctSize() {
+        return this._counts.size;
+    }
+
+    /**
+     * Returns the number of values in this multiset, counting each occurrence.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Adds occurrences of a value to this multiset.
+     * @param value {*} The value to add.
+     * @param occurrences {number} The number of occurrences to add, default 1.
+     * @return {Multiset} This multiset.
+     * @throws {TypeError} If occurrences is not a non-negative integer.
+     */
+    add(value, occurrences = 1) {
+        Multiset._checkOccurrences(occurrences);
+        if (occurrences > 0) {
+            this._counts.set(value, this.count(value) + occurrences);
+            this._size += occurrences;
+        }
+        return this;
+    }
+
+    /**
+     * Removes all values from this multiset.
+     */
+    clear() {
+        this._counts.clear();
+        this._size = 0;
+    }
+
+    /**
+     * @param value {*} The value to count.
+     * @return {number} The number of occurrences of value in this multiset, 0 if it is not in it.
+     */
+    count(value) {
+        return this._counts.get(value) || 0;
+    }
+
+    /**
+     * Removes all occurrences of a value from this multiset.
+     * @param value {*} The value to remove.
+     * @return {boolean} True if the value existed and was removed, false otherwise.
+     */
+    delete(value) {
+        return this.remove(value, this.count(value)) > 0;
+    }
+
+    /**
+     * Returns the multiset difference of this multiset and other. The count of each value is its count in this
+     * multiset, minus its count in other, if positive.
+     * @param other {Iterable} A multiset, or an iterable of values counted once per occurrence.
+     * @return {Multiset} A new multiset instance.
+     */
+    difference(other) {
+        const counts = this._toMultiset(other);
+        return this._combine(this, value => this.count(value) - counts.count(value));
+    }
+
+    /**
+     * Compares this multiset to another collection or array, see equals in common/equality. Values are compared as set
+     * by options.deep.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a multiset of the same class and type with the same counts, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Executes a provided function once for each distinct value.
+     * @param callback {Function} Function to execute on each distinct value, receives the value, its count and this
+     * multiset.
+     */
+    forEach(callback) {
+        for (const [value, count] of this.entries()) {
+            callback(value, count, this);
+        }
+    }
+
+    /**
+     * Returns a boolean indicating whether a value occurs in this multiset.
+     * @param value {*} The value to test for presence in this multiset.
+     * @return {boolean} True if the value occurs at least once, false otherwise.
+     */
+    has(value) {
+        return this._counts.has(value);
+    }
+
+    /**
+     * @return {number} A hash code of this multiset's counts, which is the same for equal multisets.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns the multiset intersection of this multiset and other. The count of each value is the lower of its counts.
+     * @param other {Iterable} A multiset, or an iterable of values counted once per occurrence.
+     * @return {Multiset} A new multiset instance.
+     */
+    intersection(other) {
+        const counts = this._toMultiset(other);
+        return this._combine(this, value => Math.min(this.count(value), counts.count(value)));
+    }
+
+    /**
+     * Lists the most common values, from the most to the least common. Values with equal counts are listed in
+     * insertion order.
+     * @param limit {number} The number of values to list, default all of them.
+     * @return {Array[]} [value, count] pairs of the most common values.
+     */
+    mostCommon(limit = this.distinctSize) {
+        return Array.from(this.entries()).sort((a, b) => b[1] - a[1]).slice(0, Math.max(0, limit));
+    }
+
+    /**
+     * Removes occurrences of a value from this multiset. If there are fewer occurrences, all of them are removed.
+     * @param value {*} The value to remove.
+     * @param occurrences {number} The number of occurrences to remove, default 1.
+     * @return {number} The number of occurrences which were removed.
+     * @throws {TypeError} If occurrences is not a non-negative integer.
+     */
+    remove(value, occurrences = 1) {
+        Multiset._checkOccurrences(occurrences);
+        const count = this.count(value);
+        const removed = Math.min(count, occurrences);
+        if (removed === count) {
+            this._counts.delete(value);
+        } else {
+            this._counts.set(value, count - removed);
+        }
+        this._size -= removed;
+        return removed;
+    }
+
+    /**
+     * Returns the JSON representation of this multiset, used by JSON.stringify.
+     * @return {{class: string, items: Array[]}} JSON representation of this multiset, with [value, count] pairs.
+     */
+    toJSON() {
+        return {class: "Multiset", items: Array.from(this.entries())};
+    }
+
+    /**
+     * @return {string} String representation of this multiset, with each occurrence.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * Returns the multiset union of this multiset and other. The count of each value is the higher of its counts.
+     * @param other {Iterable} A multiset, or an iterable of values counted once per occurrence.
+     * @return {Multiset} A new multiset instance.
+     */
+    union(other) {
+        const counts = this._toMultiset(other);
+        const values = [...this.distinct(), ...counts.distinct()];
+        return this._combine(values, value => Math.max(this.count(value), counts.count(value)));
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains each distinct value once, in insertion order.
+     */
+    distinct() {
+        return this._counts.keys();
+    }
+
+    /**
+     * @return {Generator<Array>} A new Iterator object that contains a [value, count] pair for each distinct value, in
+     * insertion order.
+     */
+    entries() {
+        return this._counts.entries();
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains each value as many times as it occurs, grouped by
+     * value in insertion order.
+     */
+    * values() {
+        for (const [value, count] of this.entries()) {
+            for (let i = 0; i < count; i++) {
+                yield value;
+            }
+        }
+    }
+
+    /**
+     * Specifies the default iterator for multiset.
+     * @return {Generator} A new Iterator object that contains each value as many times as it occurs.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Creates a multiset of the distinct values of an iterable, with the counts returned by count.
+     * @param values {Iterable} The values to count, repeated values are counted once.
+     * @param count {Function} Receives a value, returns its count. Values with counts below 1 are left out.
+     * @return {Multiset} A new multiset instance, of the same class and type as this multiset.
+     * @private
+     */
+    _combine(values, count) {
+        const multiset = this._empty();
+        for (const value of new Set(values instanceof Multiset ? values.distinct() : values)) {
+            const occurrences = count(value);
+            occurrences > 0 && multiset.add(value, occurrences);
+        }
+        return multiset;
+    }
+
+    /**
+     * @return {Multiset} A new empty multiset, of the same class and type as this multiset.
+     * @protected
+     */
+    _empty() {
+        return new Multiset();
+    }
+
+    /**
+     * Compares this multiset's counts to another multiset's counts. Values are matched within buckets of equal hash
+     * codes, so values which compare equal but are distinct (e.g. arrays, when deep) are counted together.
+     * @param other {Multiset} The multiset to compare to.
+     * @param compare {Function} Compares two values.
+     * @return {boolean} True if other has the same values, with the same counts, false otherwise.
+     * @protected
+     */
+    _equalTo(other, compare) {
+        if (other.size !== this.size) {
+            return false;
+        }
+        const buckets = new Map();
+        for (const [value, count] of other.entries()) {
+            const hash = hashCode(value);
+            const candidate = {value, count};
+            buckets.has(hash) ? buckets.get(hash).push(candidate) : buckets.set(hash, [candidate]);
+        }
+        return Array.from(this.entries()).every(([value, count]) => {
+            let remaining = count;
+            for (const candidate of buckets.get(hashCode(value)) || []) {
+                if (candidate.count > 0 && compare(value, candidate.value)) {
+                    const matched = Math.min(remaining, candidate.count);
+                    candidate.count -= matched;
+                    remaining -= matched;
+                }
+            }
+            return remaining === 0;
+        });
+    }
+
+    /**
+     * @return {number} A hash code of this multiset's counts, independent of the order of values.
+     * @protected
+     */
+    _hashCode() {
+        let hash = 0;
+        for (const [value, count] of this.entries()) {
+            hash = (hash + Math.imul(hashCode(value), count)) | 0;
+        }
+        return hash;
+    }
+
+    /**
+     * @param other {Iterable} A multiset, or an iterable of values counted once per occurrence.
+     * @return {Multiset} other if it is a multiset, otherwise a new multiset of its values.
+     * @protected
+     */
+    _toMultiset(other) {
+        return other instanceof Multiset ? other : new Multiset(...other);
+    }
+
+    /**
+     * @param occurrences {number} A number of occurrences to add or remove.
+     * @throws {TypeError} If occurrences is not a non-negative integer.
+     * @private
+     */
+    static _checkOccurrences(occurrences) {
+        if (!Number.isInteger(occurrences) || occurrences < 0) {
+            throw new TypeError(`Invalid occurrences: ${occurrences}. Expected a non-negative integer.`);
+        }
+    }
+
+    /**
+     * Creates a new multiset instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to multiset, counted once per occurrence.
+     * @return {Multiset} A new multiset instance.
+     */
+    static from(arrayLike) {
+        return new Multiset(...Array.from(arrayLike));
+    }
+
+    /**
+     * Creates a new multiset instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {Multiset} A new multiset instance.
+     * @throws {TypeError} If json does not represent a multiset.
+     */
+    static fromJSON(json) {
+        const {items} = parseJSON(json, "Multiset");
+        const multiset = new Multiset();
+        items.forEach(([value, count]) => multiset.add(value, count));
+        return multiset;
+    }
+
+    /**
+     * Creates a new multiset instance from a variable number of arguments.
+     * @param items {*} Values used to create the multiset, counted once per occurrence.
+     * @return {Multiset} A new multiset instance.
+     */
+    static of(...items) {
+        return new Multiset(...items);
+    }
+}
+
+export default Multiset;
\ No newline at end of file
@@ -0,0 +1,400 @@
+import RedBlackTree from "../tree/RedBlackTree";
+import RedBlackTreeRange from "../tree/RedBlackTreeRange";
+import {compareFromJSON, compareToJSON, parseJSON, percentileOf, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
+
+/**
+ * Implementation of a sorted set, which stores unique values in the compare function's sort order. Values which
+ * compare equal (0) are the same value. Implemented with a red-black tree, which provides add, has and delete
+ * efficiency at O(log n), unlike TypeSafeSortedArray, which inserts and removes at O(n). Order statistics (rank,
+ * select, median, percentile and countInRange) are O(log n) as well.
+ * @extends {Object}
+ */
+class SortedSet {
+    /**
+     * Sets this set's compare function and values.
+     * @param compareFunc {Function} Specifies a function that defines the sort order, e.g. from COMPARE. If omitted,
+     * values are converted to strings, and sorted according to each character's Unicode code point value.
+     * @param items {*} Values to add upon initialization.
+     */
+    constructor(compareFunc = undefined, ...items) {
+        /**
+         * This set's values, as the keys of a tree.
+         * @type {RedBlackTree|RedBlackTreeRange}
+         * @private
+         */
+        this._tree = new RedBlackTree(compareFunc);
+        items.forEach(item => this.add(item));
+    }
+
+    /**
+     * Returns this set's compare function.
+     * @return {Function}
+     * @type {Function}
+     */
+    get compare() {
+        return this._tree.compare;
+    }
+
+    /**
+     * Returns the number of values in this set.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._tree.size;
+    }
+
+    /**
+     * Adds a value to this set, unless a value which compares equal is already in it.
+     * @param value {*} The value to add.
+     * @return {SortedSet} This set.
+     */
+    add(value) {
+        this._tree.find(value) || this._tree.insert(value, value);
+        return this;
+    }
+
+    /**
+     * Returns a live, read-only view of this set, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this set.
+     * @return {Object} A read-only view of this set.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this set is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, [
+            "compare", "size", "asReadonly", "ceiling", "countInRange", "entries", "equals", "first", "floor",
+            "forEach", "has", "hashCode", "headSet", "higher", "keys", "last", "lower", "median", "percentile", "range",
+            "rank", "reversed", "select", "subSet", "tailSet", "toJSON", "toString", "values", Symbol.iterator
+        ]);
+    }
+
+    /**
+     * @param value {*} The value to search for.
+     * @return {*|undefined} The least value greater than or equal to value, undefined if none.
+     */
+    ceiling(value) {
+        return SortedSet._valueOf(this._tree.ceiling(value));
+    }
+
+    /**
+     * Removes all values from this set.
+     */
+    clear() {
+        this._tree.clear();
+    }
+
+    /**
+     * Counts the values from fromValue to toValue, at O(log n).
+     * @param fromValue {*} The lower bound.
+     * @param toValue {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} inclusive includes the bounds themselves, default true. Pass
+     * [fromInclusive, toInclusive] to set each bound.
+     * @return {number} The number of values within the bounds.
+     */
+    countInRange(fromValue, toValue, options = {}) {
+        return this._tree.countRange(fromValue, toValue, options);
+    }
+
+    /**
+     * Removes a value from this set.
+     * @param value {*} The value to remove.
+     * @return {boolean} True if a value which compares equal existed and was removed, false otherwise.
+     */
+    delete(value) {
+        return this._tree.remove(value) !== null;
+    }
+
+    /**
+     * Compares this set to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a SortedSet with the same values in the same order, or an array of these
+     * values, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * @return {*|undefined} The least value in this set, undefined if it is empty.
+     */
+    first() {
+        return SortedSet._valueOf(this._tree.first());
+    }
+
+    /**
+     * @param value {*} The value to search for.
+     * @return {*|undefined} The greatest value less than or equal to value, undefined if none.
+     */
+    floor(value) {
+        return SortedSet._valueOf(this._tree.floor(value));
+    }
+
+    /**
+     * Executes a provided function once for each value, in order.
+     * @param callback {Function} Function to execute on each value, receives the value twice (like Set) and this set.
+     */
+    forEach(callback) {
+        for (const value of this) {
+            callback(value, value, this);
+        }
+    }
+
+    /**
+     * Returns a boolean indicating whether a value which compares equal exists in this set.
+     * @param value {*} The value to test for presence in this set.
+     * @return {boolean} True if the value exists, false otherwise.
+     */
+    has(value) {
+        return this._tree.find(value) !== null;
+    }
+
+    /**
+     * @return {number} A hash code of this set's values, which is the same for equal sets.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Returns a live view of the values less than toValue, backed by this set, so changes to either are seen by both.
+     * Adding a value out of bounds to the view throws.
+     * @param toValue {*} The upper bound.
+     * @param inclusive {boolean} Includes toValue itself if true, default false.
+     * @return {SortedSet} A SortedSet view with the same compare function, and the values less than toValue.
+     */
+    headSet(toValue, inclusive = false) {
+        return this._view(null, {key: toValue, inclusive});
+    }
+
+    /**
+     * @param value {*} The value to search for.
+     * @return {*|undefined} The least value strictly greater than value, undefined if none.
+     */
+    higher(value) {
+        return SortedSet._valueOf(this._tree.higher(value));
+    }
+
+    /**
+     * @return {*|undefined} The greatest value in this set, undefined if it is empty.
+     */
+    last() {
+        return SortedSet._valueOf(this._tree.last());
+    }
+
+    /**
+     * @param value {*} The value to search for.
+     * @return {*|undefined} The greatest value strictly less than value, undefined if none.
+     */
+    lower(value) {
+        return SortedSet._valueOf(this._tree.lower(value));
+    }
+
+    /**
+     * @return {*|undefined} The median value, i.e. the 50th percentile, undefined if this set is empty.
+     */
+    median() {
+        return this.percentile(50);
+    }
+
+    /**
+     * Computes a percentile of this set's values, at O(log n), see percentileOf in common/utils. Numbers are
+     * interpolated between the two closest ranks.
+     * @param p {number} The percentile, from 0 to 100.
+     * @return {*|undefined} The percentile, undefined if this set is empty.
+     * @throws {TypeError} If p is not a number from 0 to 100.
+     */
+    percentile(p) {
+        return percentileOf(index => this.select(index), this.size, p);
+    }
+
+    /**
+     * Removes the least value from this set.
+     * @return {*|undefined} The removed value, undefined if this set is empty.
+     */
+    pollFirst() {
+        const node = this._tree.first();
+        return node ? this._tree.removeNode(node).key : undefined;
+    }
+
+    /**
+     * Removes the greatest value from this set.
+     * @return {*|undefined} The removed value, undefined if this set is empty.
+     */
+    pollLast() {
+        const node = this._tree.last();
+        return node ? this._tree.removeNode(node).key : undefined;
+    }
+
+    /**
+     * @param value {*} The value to rank.
+     * @return {number} The number of values strictly less than value, at O(log n).
+     */
+    rank(value) {
+        return this._tree.rank(value);
+    }
+
+    /**
+     * @param index {number} A zero-based index in sort order.
+     * @return {*|undefined} The value at index, at O(log n), undefined if index is out of range.
+     */
+    select(index) {
+        return SortedSet._valueOf(this._tree.select(index));
+    }
+
+    /**
+     * Returns a live view of the values from fromValue to toValue, backed by this set, see headSet.
+     * @param fromValue {*} The lower bound.
+     * @param toValue {*} The upper bound.
+     * @param fromInclusive {boolean} Includes fromValue itself if true, default true.
+     * @param toInclusive {boolean} Includes toValue itself if true, default false.
+     * @return {SortedSet} A SortedSet view with the same compare function, and the values from fromValue to toValue.
+     */
+    subSet(fromValue, toValue, fromInclusive = true, toInclusive = false) {
+        return this._view({key: fromValue, inclusive: fromInclusive}, {key: toValue, inclusive: toInclusive});
+    }
+
+    /**
+     * Returns a live view of the values greater than fromValue, backed by this set, see headSet.
+     * @param fromValue {*} The lower bound.
+     * @param inclusive {boolean} Includes fromValue itself if true, default true.
+     * @return {SortedSet} A SortedSet view with the same compare function, and the values greater than fromValue.
+     */
+    tailSet(fromValue, inclusive = true) {
+        return this._view({key: fromValue, inclusive}, null);
+    }
+
+    /**
+     * Returns the JSON representation of this set, used by JSON.stringify. The compare function is represented by its
+     * key in COMPARE, or null if it is a custom function.
+     * @return {{class: string, compare: string|null, items: Array}} JSON representation of this set, with its values
+     * in order.
+     */
+    toJSON() {
+        return {class: "SortedSet", compare: compareToJSON(this.compare), items: [...this]};
+    }
+
+    /**
+     * @return {string} String representation of this set.
+     * @override
+     */
+    toString() {
+        return Array.from(this).toString();
+    }
+
+    /**
+     * @return {Generator<Array>} A new Iterator object that contains a [value, value] pair for each value in this set,
+     * like Set.
+     */
+    * entries() {
+        for (const value of this) {
+            yield [value, value];
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this set, in order, like Set.
+     */
+    keys() {
+        return this.values();
+    }
+
+    /**
+     * Iterates the values from fromValue to toValue.
+     * @param fromValue {*} The lower bound.
+     * @param toValue {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[], reverse: boolean}} inclusive includes the bounds themselves,
+     * default true. Pass [fromInclusive, toInclusive] to set each bound. reverse iterates from toValue down to
+     * fromValue.
+     * @return {Generator<*>} A new Iterator object that contains the values within the bounds.
+     */
+    * range(fromValue, toValue, options = {}) {
+        for (const node of this._tree.range(fromValue, toValue, options)) {
+            yield node.key;
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this set, in reverse order.
+     */
+    * reversed() {
+        for (const node of this._tree.nodes(null, null, true)) {
+            yield node.key;
+        }
+    }
+
+    /**
+     * @return {Generator<*>} A new Iterator object that contains the values in this set, in order.
+     */
+    * values() {
+        for (const node of this._tree.nodes()) {
+            yield node.key;
+        }
+    }
+
+    /**
+     * Specifies the default iterator for set.
+     * @return {Generator} A new Iterator object that contains the values in this set, in order.
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Creates a live view of the values within bounds, backed by this set's tree.
+     * @param lower {{key: *, inclusive: boolean}|null} The lower bound, null for none.
+     * @param upper {{key: *, inclusive: boolean}|null} The upper bound, null for none.
+     * @return {SortedSet} A SortedSet with the same compare function, which views the values within both these
+     * bounds and this set's own bounds, if it is a view itself.
+     * @private
+     */
+    _view(lower, upper) {
+        const set = new SortedSet(this.compare);
+        set._tree = new RedBlackTreeRange(this._tree, lower, upper);
+        return set;
+    }
+
+    /**
+     * @param node {RedBlackTreeNode|null} A node of this set's tree.
+     * @return {*|undefined} The value of node, undefined if node is null.
+     * @private
+     */
+    static _valueOf(node) {
+        return node ? node.key : undefined;
+    }
+
+    /**
+     * Creates a new SortedSet instance from an array-like or iterable object.
+     * @param arrayLike {*} An array-like or iterable object to convert to SortedSet.
+     * @param compareFunction {Function} Specifies a function that defines the sort order.
+     * @return {SortedSet} A new SortedSet instance.
+     */
+    static from(arrayLike, compareFunction = undefined) {
+        return new SortedSet(compareFunction, ...Array.from(arrayLike));
+    }
+
+    /**
+     * Creates a new SortedSet instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{compare: Function}} compare is the custom compare function, required if one was used.
+     * @return {SortedSet} A new SortedSet instance.
+     * @throws {TypeError} If json does not represent a SortedSet, or its compare function is unknown.
+     */
+    static fromJSON(json, options = {}) {
+        const {compare, items} = parseJSON(json, "SortedSet");
+        return new SortedSet(compareFromJSON(compare, options.compare), ...items);
+    }
+
+    /**
+     * Creates a new SortedSet instance from a variable number of arguments.
+     * @param compareFunction {Function} Specifies a function that defines the sort order.
+     * @param items {*} Values used to create the set.
+     * @return {SortedSet} A new SortedSet instance.
+     */
+    static of(compareFunction, ...items) {
+        return new SortedSet(compareFunction, ...items);
+    }
+}
+
+export default SortedSet;
\ No newline at end of file
@@ -0,0 +1,109 @@
+import HashSet from "./HashSet";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, isType, parseJSON, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+
+/**
+ * A type safe extension of HashSet. Implementation of a hash set, which stores unique values of type <T>.
+ * @extends {HashSet}
+ */
+class TypeSafeHashSet extends HashSet {
+    /**
+     * Sets this set's type, options and values.
+     * @param type {string|Function|TypeDescriptor} Type to use for this set.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} The set's options, see HashSet.
+     * @param items {T} Values to add upon initialization.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @template T
+     */
+    constructor(type, options = {}, ...items) {
+        if (!isArrayOfType(items, type)) {
+            throw new ErrorTypeSafe("initialize", items, type);
+        }
+        super(options);
+        /**
+         * This set type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.type = type;
+        items.forEach(item => super.add(item));
+    }
+
+    /**
+     * Adds a value of type <T> to this set, unless an equal value is already in it.
+     * @param value {T} The value to add.
+     * @return {TypeSafeHashSet} This set.
+     * @throws {ErrorTypeSafe} If value is not of type <T>.
+     * @override
+     */
+    add(value) {
+        if (isType(value, this.type)) {
+            return super.add(value);
+        } else {
+            throw new ErrorTypeSafe("assign", value, this.type);
+        }
+    }
+
+    /**
+     * @return {Object} JSON representation of this set, including its type name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeHashSet", type: getTypeName(this.type)});
+    }
+
+    /**
+     * Creates a new TypeSafeHashSet instance from an array-like or iterable object of the same type.
+     * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeHashSet.
+     * @param options {{equals: Function, hash: Function, ordered: boolean}} The set's options, see HashSet.
+     * @return {TypeSafeHashSet} A new TypeSafeHashSet instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static from(arrayLike, options = {}) {
+        const array = Array.from(arrayLike);
+        const type = getArrayType(array);
+        if (isInitialized(type)) {
+            return new TypeSafeHashSet(type, options, ...array);
+        } else {
+            throw new ErrorTypeSafe("initialize", array, getType(array[0]));
+        }
+    }
+
+    /**
+     * Creates a new TypeSafeHashSet instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object, equals: Function, hash: Function}} types maps the names of constructor and
+     * descriptor types to the types themselves. Type strings from TYPE are resolved without it. equals and hash are
+     * the set's options, if not the default.
+     * @return {TypeSafeHashSet} A new TypeSafeHashSet instance.
+     * @throws {TypeError} If json does not represent a TypeSafeHashSet, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {type, ordered, items} = parseJSON(json, "TypeSafeHashSet");
+        const setOptions = {equals: options.equals, hash: options.hash, ordered};
+        return new TypeSafeHashSet(typeFromJSON(type, options.types), setOptions, ...items);
+    }
+
+    /**
+     * Creates a new TypeSafeHashSet instance with the default options, from a variable number of arguments of the same
+     * type.
+     * @param items {*} Values used to create the set.
+     * @return {TypeSafeHashSet} A new TypeSafeHashSet instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static of(...items) {
+        const type = getArrayType(items);
+        if (isInitialized(type)) {
+            return new TypeSafeHashSet(type, {}, ...items);
+        } else {
+            throw new ErrorTypeSafe("initialize", items, getType(items[0]));
+        }
+    }
+}
+
+export default TypeSafeHashSet;
\ No newline at end of file
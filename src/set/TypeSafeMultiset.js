@@ -0,0 +1,130 @@
+import Multiset from "./Multiset";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, isType, parseJSON, typeFromJSON
+} from "../common/utils";
+import ErrorTypeSafe from "../error/ErrorTypeSafe";
+
+/**
+ * A type safe extension of Multiset. Implementation of a multiset, which counts the occurrences of values of type <T>.
+ * @extends {Multiset}
+ */
+class TypeSafeMultiset extends Multiset {
+    /**
+     * Sets this multiset's type and values.
+     * @param type {string|Function|TypeDescriptor} Type to use for this multiset.
+     * @param items {T} Values to add upon initialization, once per occurrence.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @template T
+     */
+    constructor(type, ...items) {
+        if (!isArrayOfType(items, type)) {
+            throw new ErrorTypeSafe("initialize", items, type);
+        }
+        super();
+        /**
+         * This multiset type.
+         * @type {string|Function|TypeDescriptor}
+         */
+        this.type = type;
+        items.forEach(item => super.add(item));
+    }
+
+    /**
+     * Adds occurrences of a value of type <T> to this multiset.
+     * @param value {T} The value to add.
+     * @param occurrences {number} The number of occurrences to add, default 1.
+     * @return {TypeSafeMultiset} This multiset.
+     * @throws {ErrorTypeSafe} If value is not of type <T>.
+     * @throws {TypeError} If occurrences is not a non-negative integer.
+     * @override
+     */
+    add(value, occurrences = 1) {
+        if (isType(value, this.type)) {
+            return super.add(value, occurrences);
+        } else {
+            throw new ErrorTypeSafe("assign", value, this.type);
+        }
+    }
+
+    /**
+     * @return {Object} JSON representation of this multiset, including its type name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeMultiset", type: getTypeName(this.type)});
+    }
+
+    /**
+     * @return {TypeSafeMultiset} A new empty multiset of type <T>.
+     * @protected
+     * @override
+     */
+    _empty() {
+        return new TypeSafeMultiset(this.type);
+    }
+
+    /**
+     * @param other {Iterable<T>} A multiset, or an iterable of values of type <T> counted once per occurrence.
+     * @return {Multiset} other if it is a TypeSafeMultiset of type <T>, otherwise a new multiset of its values.
+     * @throws {ErrorTypeSafe} If some values of other are not of type <T>.
+     * @protected
+     * @override
+     */
+    _toMultiset(other) {
+        if (other instanceof TypeSafeMultiset && getTypeName(other.type) === getTypeName(this.type)) {
+            return other;
+        }
+        const items = Array.from(other);
+        if (!isArrayOfType(items, this.type)) {
+            throw new ErrorTypeSafe("initialize", items, this.type);
+        }
+        return super._toMultiset(other);
+    }
+
+    /**
+     * Creates a new TypeSafeMultiset instance from an array-like or iterable object of the same type.
+     * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeMultiset.
+     * @return {TypeSafeMultiset} A new TypeSafeMultiset instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static from(arrayLike) {
+        const array = Array.from(arrayLike);
+        const type = getArrayType(array);
+        if (isInitialized(type)) {
+            return new TypeSafeMultiset(type, ...array);
+        } else {
+            throw new ErrorTypeSafe("initialize", array, getType(array[0]));
+        }
+    }
+
+    /**
+     * Creates a new TypeSafeMultiset instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeMultiset} A new TypeSafeMultiset instance.
+     * @throws {TypeError} If json does not represent a TypeSafeMultiset, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const {type, items} = parseJSON(json, "TypeSafeMultiset");
+        const multiset = new TypeSafeMultiset(typeFromJSON(type, options.types));
+        items.forEach(([value, count]) => multiset.add(value, count));
+        return multiset;
+    }
+
+    /**
+     * Creates a new TypeSafeMultiset instance from a variable number of arguments of the same type.
+     * @param items {*} Values used to create the multiset, counted once per occurrence.
+     * @return {TypeSafeMultiset} A new TypeSafeMultiset instance.
+     * @throws {ErrorTypeSafe} If some items are not of the same type.
+     * @override
+     */
+    static of(...items) {
+        return TypeSafeMultiset.from(items);
+    }
+}
+
+export default TypeSafeMultiset;
\ No newline at end of file
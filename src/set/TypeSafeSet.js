@@ -1,5 +1,10 @@
-import {getArrayType, getType, isInitialized, isType} from "../common/utils";
+import {
+    CHANGE, getArrayType, getType, getTypeName, isArrayOfType,
+    isInitialized, isType, parseJSON, readonlyView, typeFromJSON
+} from "../common/utils";
+import ChangeEmitter from "../common/ChangeEmitter";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
+import {equals, hashCode} from "../common/equality";
 
 /**
  * A type safe extension of built-in Set object, that stores unique values of type <T>.
@@ -8,15 +13,25 @@ import ErrorTypeSafe from "../error/ErrorTypeSafe";
 class TypeSafeSet extends Set {
     /**
      * Sets Set object type and items.
-     * @param type {string} Type to use for this Set.
+     * @param type {string|Function|TypeDescriptor} Type to use for this Set.
      * @param items {T} Items to add to Set.
      * @throws {ErrorTypeSafe} If some items are not of type <T>.
      * @template T
      */
     constructor(type, ...items) {
         super();
+        /**
+         * This Set type.
+         * @type {string|Function|TypeDescriptor}
+         */
         this.type = type;
-        if (isInitialized(items) && getArrayType(items) !== type) {
+        /**
+         * Notifies about this Set's changes, created once this Set is observed.
+         * @type {ChangeEmitter|undefined}
+         * @private
+         */
+        this._changes = undefined;
+        if (!isArrayOfType(items, type)) {
             throw new ErrorTypeSafe("initialize", items, type);
         } else {
             items.forEach(item => this.add(item));
@@ -32,12 +47,288 @@ class TypeSafeSet extends Set {
      */
     add(value) {
         if (isType(value, this.type)) {
-            return super.add(value);
+            if (this.has(value)) {
+                return this;
+            }
+            return this._change(() => ({type: CHANGE.ADD, values: [value]}), () => super.add(value), this);
         } else {
             throw new ErrorTypeSafe("assign", value, this.type);
         }
     }
 
+    /**
+     * Returns a live, read-only view of this TypeSafeSet, without copying. The view exposes only query and iteration
+     * members, and reflects later changes to this TypeSafeSet.
+     * @return {Object} A read-only view of this TypeSafeSet.
+     * @throws {ErrorReadonly} On the view, if add, delete or clear are called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, [
+            "type", "size", "asReadonly", "difference", "equals", "entries", "every", "filter", "forEach", "has",
+            "hashCode", "intersection", "isDisjointFrom", "isSubsetOf", "isSupersetOf", "keys", "map", "reduce", "some",
+            "subscribe", "symmetricDifference", "toJSON", "union", "values", Symbol.iterator
+        ]);
+    }
+
+    /**
+     * Applies several changes, and notifies the subscribers once with all of their change records.
+     * @param callback {Function} Applies the changes, receives this TypeSafeSet.
+     * @return {*} The result of callback.
+     */
+    batch(callback) {
+        return this._changes ? this._changes.batch(() => callback(this)) : callback(this);
+    }
+
+    /**
+     * Removes all elements from the TypeSafeSet object.
+     * @override
+     */
+    clear() {
+        if (this.size > 0) {
+            this._change(() => ({type: CHANGE.CLEAR, values: [...this]}), () => super.clear());
+        }
+    }
+
+    /**
+     * Removes the specified element from the TypeSafeSet object.
+     * @param value {T} The value of the element to remove.
+     * @return {boolean} True if the element existed and was removed, false otherwise.
+     * @override
+     */
+    delete(value) {
+        if (!this.has(value)) {
+            return false;
+        }
+        return this._change(() => ({type: CHANGE.REMOVE, values: [value]}), () => super.delete(value), false);
+    }
+
+    /**
+     * Returns a new TypeSafeSet with the elements of this TypeSafeSet which are not in other.
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {TypeSafeSet<T>} A new TypeSafeSet instance.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    difference(other) {
+        const set = this._toSet(other);
+        return this.filter(value => !set.has(value));
+    }
+
+    /**
+     * Compares this TypeSafeSet to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a TypeSafeSet of the same type, with the same elements in any order, false
+     * otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
+    /**
+     * Tests whether all elements pass the test implemented by the provided function.
+     * @param callback {Function} A function to test for each element, receives the element twice (like forEach) and
+     * this TypeSafeSet.
+     * @param thisArg {*} A value to use as this when executing callback.
+     * @return {boolean} True if the callback function returns a truthy value for every element, false otherwise.
+     */
+    every(callback, thisArg = undefined) {
+        return [...this].every(value => callback.call(thisArg, value, value, this));
+    }
+
+    /**
+     * Creates a new TypeSafeSet with all elements that pass the test implemented by the provided function.
+     * @param callback {Function} Tests each element, receives the element twice (like forEach) and this TypeSafeSet.
+     * Return true to keep the element, false otherwise.
+     * @param thisArg {*} Value to use as this when executing callback.
+     * @return {TypeSafeSet<T>} A new TypeSafeSet with the elements that pass the test.
+     */
+    filter(callback, thisArg = undefined) {
+        return new TypeSafeSet(this.type, ...[...this].filter(value => callback.call(thisArg, value, value, this)));
+    }
+
+    /**
+     * @return {number} A hash code of this TypeSafeSet's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
+    /**
+     * Adds an interceptor, which is called with each change record before the change is applied. If the interceptor
+     * returns false, the change is vetoed: it is not applied, and the changing method returns as if nothing changed.
+     * @param interceptor {Function} Receives a change record, returns false to veto the change.
+     * @return {Function} Removes the interceptor.
+     */
+    intercept(interceptor) {
+        return this._emitter().intercept(interceptor);
+    }
+
+    /**
+     * Returns a new TypeSafeSet with the elements of this TypeSafeSet which are also in other.
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {TypeSafeSet<T>} A new TypeSafeSet instance.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    intersection(other) {
+        const set = this._toSet(other);
+        return this.filter(value => set.has(value));
+    }
+
+    /**
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {boolean} True if this TypeSafeSet has no elements in common with other, false otherwise.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    isDisjointFrom(other) {
+        const set = this._toSet(other);
+        return !this.some(value => set.has(value));
+    }
+
+    /**
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {boolean} True if all elements of this TypeSafeSet are in other, false otherwise.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    isSubsetOf(other) {
+        const set = this._toSet(other);
+        return this.every(value => set.has(value));
+    }
+
+    /**
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {boolean} True if all elements of other are in this TypeSafeSet, false otherwise.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    isSupersetOf(other) {
+        return this._toSet(other).every(value => this.has(value));
+    }
+
+    /**
+     * Creates a new set populated with the results of calling a provided function on every element.
+     * @param callback {Function} Produces an element of the new set, receives the element twice (like forEach) and
+     * this TypeSafeSet.
+     * @param thisArg {*} Value to use as this when executing callback.
+     * @return {TypeSafeSet|Set} A new set with each element being the result of the callback function.
+     * Returns TypeSafeSet if the results are of the same type, otherwise a standard Set.
+     */
+    map(callback, thisArg = undefined) {
+        const attempt = [...this].map(value => callback.call(thisArg, value, value, this));
+        const type = getArrayType(attempt);
+        if (isInitialized(type)) {
+            return new TypeSafeSet(type, ...attempt);
+        } else {
+            return new Set(attempt);
+        }
+    }
+
+    /**
+     * Executes a reducer function on each element, in insertion order, resulting in single output value.
+     * @param callback {Function} A function to execute on each element (except for the first, if no initialValue is
+     * supplied), receives the accumulator, the element and this TypeSafeSet.
+     * @param initialValue {*} A value to use as the first argument to the first call of the callback.
+     * If no initialValue is supplied, the first element will be used as the initial accumulator value and skipped as
+     * currentValue.
+     * @return {*} The single value that results from the reduction.
+     * @throws {TypeError} If the TypeSafeSet is empty and no initialValue is supplied.
+     */
+    reduce(callback, ...initialValue) {
+        return [...this].reduce((accumulator, value) => callback(accumulator, value, this), ...initialValue);
+    }
+
+    /**
+     * Tests whether at least one element passes the test implemented by the provided function.
+     * @param callback {Function} A function to test for each element, receives the element twice (like forEach) and
+     * this TypeSafeSet.
+     * @param thisArg {*} A value to use as this when executing callback.
+     * @return {boolean} True if the callback function returns a truthy value for at least one element, false
+     * otherwise.
+     */
+    some(callback, thisArg = undefined) {
+        return [...this].some(value => callback.call(thisArg, value, value, this));
+    }
+
+    /**
+     * Adds a listener, which is called with an array of change records after the TypeSafeSet changes. Set records
+     * have no index.
+     * @param listener {Function} Receives an array of change records.
+     * @return {Function} Removes the listener.
+     */
+    subscribe(listener) {
+        return this._emitter().subscribe(listener);
+    }
+
+    /**
+     * Returns a new TypeSafeSet with the elements which are in either this TypeSafeSet or other, but not in both.
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {TypeSafeSet<T>} A new TypeSafeSet instance.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    symmetricDifference(other) {
+        const set = this._toSet(other);
+        return new TypeSafeSet(this.type, ...this.difference(set), ...set.filter(value => !this.has(value)));
+    }
+
+    /**
+     * Returns the JSON representation of this TypeSafeSet, used by JSON.stringify. Unlike a Set, which is serialized
+     * to {}, it contains the values.
+     * @return {{class: string, type: string, items: T[]}} JSON representation of this TypeSafeSet, with its type
+     * name and values in insertion order.
+     */
+    toJSON() {
+        return {class: "TypeSafeSet", type: getTypeName(this.type), items: [...this]};
+    }
+
+    /**
+     * Returns a new TypeSafeSet with the elements of both this TypeSafeSet and other.
+     * @param other {Iterable<T>} An iterable of type <T>, e.g. an array, a Set or any other collection.
+     * @return {TypeSafeSet<T>} A new TypeSafeSet instance.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     */
+    union(other) {
+        return new TypeSafeSet(this.type, ...this, ...this._toSet(other));
+    }
+
+    /**
+     * Applies a change to this TypeSafeSet, and notifies about it if observed.
+     * @param createRecord {Function} Returns the change record, called only if observed.
+     * @param apply {Function} Applies the change, and returns the result of the changing method.
+     * @param vetoed {*} The result to return if the change was vetoed.
+     * @return {*} The result of apply, or vetoed if the change was vetoed.
+     * @private
+     */
+    _change(createRecord, apply, vetoed = undefined) {
+        return this._changes ? this._changes.apply(createRecord, apply, vetoed) : apply();
+    }
+
+    /**
+     * @return {ChangeEmitter} The emitter of this TypeSafeSet's changes, created on first use.
+     * @private
+     */
+    _emitter() {
+        return this._changes || (this._changes = new ChangeEmitter());
+    }
+
+    /**
+     * Adds items to this TypeSafeSet without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>.
+     * @return {TypeSafeSet<T>} This TypeSafeSet.
+     * @protected
+     */
+    _load(items) {
+        items.forEach(item => super.add(item));
+        return this;
+    }
+
+    /**
+     * @param other {Iterable<T>} An iterable of type <T>.
+     * @return {TypeSafeSet<T>} other if it is a TypeSafeSet of this type, otherwise a new TypeSafeSet of its items.
+     * @throws {ErrorTypeSafe} If some items of other are not of type <T>.
+     * @private
+     */
+    _toSet(other) {
+        return other instanceof TypeSafeSet && other.type === this.type ? other : new TypeSafeSet(this.type, ...other);
+    }
+
     /**
      * Creates a new, shallow-copied TypeSafeSet instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeSet.
@@ -54,6 +345,20 @@ class TypeSafeSet extends Set {
         }
     }
 
+    /**
+     * Creates a new TypeSafeSet instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeSet} A new TypeSafeSet instance.
+     * @throws {TypeError} If json does not represent a TypeSafeSet, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     */
+    static fromJSON(json, options = {}) {
+        const {type, items} = parseJSON(json, "TypeSafeSet");
+        return new TypeSafeSet(typeFromJSON(type, options.types), ...items);
+    }
+
     /**
      * Creates a new TypeSafeSet instance from a variable number of arguments.
      * @param items {*} Elements used to create the TypeSafeSet.
@@ -1,5 +1,7 @@
 import LinkedList from "../linked-list/LinkedList";
 import ErrorCapacity from "../error/ErrorCapacity";
+import {OVERFLOW, isInitialized, parseJSON, readonlyView} from "../common/utils";
+import {equals, hashCode} from "../common/equality";
 
 /**
  * Implementation of a linear collection which follows a particular order in which the operations are performed.
@@ -25,6 +27,17 @@ class Stack {
          * @private
          */
         this._capacity = Infinity;
+        /**
+         * The policy to apply when adding items to this stack at max capacity, one of OVERFLOW values.
+         * @type {string}
+         * @default OVERFLOW.EVICT_NEWEST
+         */
+        this.overflow = OVERFLOW.EVICT_NEWEST;
+        /**
+         * Called with each element that was evicted or rejected when adding items to this stack at max capacity.
+         * @type {Function|undefined}
+         */
+        this.onOverflow = undefined;
     }
 
     /**
@@ -58,6 +71,36 @@ class Stack {
         return this._list.size;
     }
 
+    /**
+     * Returns a live, read-only view of this stack, without copying. The view exposes only query and iteration members,
+     * and reflects later changes to this stack.
+     * @return {Object} A read-only view of this stack.
+     * @throws {ErrorReadonly} On the view, if a method that may modify this stack is called, or a property is assigned.
+     */
+    asReadonly() {
+        return readonlyView(this, this._readonlyMembers());
+    }
+
+    /**
+     * Applies several changes, and notifies the subscribers once with all of their change records.
+     * @param callback {Function} Applies the changes, receives this stack.
+     * @return {*} The result of callback.
+     */
+    batch(callback) {
+        return this._list.batch(() => callback(this));
+    }
+
+    /**
+     * Compares this stack to another collection or array, see equals in common/equality.
+     * @param other {*} The collection or array to compare to.
+     * @param options {{deep: boolean}} deep compares nested collections, arrays and plain objects by their elements.
+     * @return {boolean} True if other is a stack of the same class and type, with the same elements in the same order,
+     * or an array of these elements, false otherwise.
+     */
+    equals(other, options = {}) {
+        return equals(this, other, options);
+    }
+
     /**
      * Calls LinkedList.prototype.forEach method. Executes a provided function once for each stack element.
      * @param callback {Function} Function to execute on each element.
@@ -66,6 +109,13 @@ class Stack {
         this._list.forEach(callback);
     }
 
+    /**
+     * @return {number} A hash code of this stack's elements, which is the same for equal collections.
+     */
+    hashCode() {
+        return hashCode(this);
+    }
+
     /**
      * Returns a boolean indicating whether an element with the specified value exists in this stack.
      * @param value {*} The value to test for presence in the this stack.
@@ -82,6 +132,16 @@ class Stack {
         return this.size <= 0;
     }
 
+    /**
+     * Adds an interceptor, which is called with each change record before the change is applied. If the interceptor
+     * returns false, the change is vetoed.
+     * @param interceptor {Function} Receives a change record, returns false to veto the change.
+     * @return {Function} Removes the interceptor.
+     */
+    intercept(interceptor) {
+        return this._list.intercept(interceptor);
+    }
+
     /**
      * @return {*} The value of the head of this stack.
      */
@@ -99,20 +159,45 @@ class Stack {
 
     /**
      * Adds one or more elements to the end of the stack.
-     * If reached max capacity, for each new items removes the last element from the stack.
+     * If reached max capacity, for each new item applies the overflow policy (removes the last element by default).
      * @param items {*} The elements to add to the back of the stack.
      * @return {number} The new size property of this stack.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
      */
     push(...items) {
-        for (let i = 0; i < items.length; i++) {
-            if (this.size >= this.capacity) {
-                this.pop();
-            }
-            this._list.push(items[i]);
+        this._reject(items);
+        if (this.size + items.length <= this.capacity) {
+            return this._list.push(...items);
         }
+        this._list.batch(() => {
+            for (let i = 0; i < items.length; i++) {
+                if (this._overflow(items[i])) {
+                    this._list.push(items[i]);
+                }
+            }
+        });
         return this.size;
     }
 
+    /**
+     * Adds a listener, which is called with an array of change records after this stack changes. Records describe the
+     * changes of this stack's list, in iteration order.
+     * @param listener {Function} Receives an array of change records.
+     * @return {Function} Removes the listener.
+     */
+    subscribe(listener) {
+        return this._list.subscribe(listener);
+    }
+
+    /**
+     * Returns the JSON representation of this stack, used by JSON.stringify.
+     * @return {{class: string, capacity: number, overflow: string, items: Array}} JSON representation of this stack:
+     * its capacity, overflow policy and items from bottom to top.
+     */
+    toJSON() {
+        return {class: "Stack", capacity: this.capacity, overflow: this.overflow, items: [...this]};
+    }
+
     /**
      * @return {string} String representation of this stack.
      * @override
@@ -129,6 +214,88 @@ class Stack {
         return this._list[Symbol.iterator]();
     }
 
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this stack.
+     * @protected
+     */
+    _readonlyMembers() {
+        return [
+            "capacity", "size", "overflow", "asReadonly", "equals", "forEach", "hashCode", "includes", "isEmpty",
+            "peek", "subscribe", "toJSON", "toString", Symbol.iterator
+        ];
+    }
+
+    /**
+     * Evicts an element to make room for a new item, and calls the overflow callback.
+     * @param node {LinkedListNode} The node of the element to evict.
+     * @return {boolean} True if the element was evicted, false if the eviction was vetoed.
+     * @private
+     */
+    _evict(node) {
+        const size = this.size;
+        this._list.removeByNode(node);
+        if (this.size < size) {
+            this._notifyOverflow(node.value);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Applies the overflow policy before adding an item, if reached max capacity.
+     * @param item {*} The item about to be added.
+     * @return {boolean} True if the item should be added, false if it was dropped.
+     * @private
+     */
+    _overflow(item) {
+        if (this.size < this.capacity) {
+            return true;
+        }
+        switch (this.overflow) {
+            case OVERFLOW.DROP:
+                this._notifyOverflow(item);
+                return false;
+            case OVERFLOW.EVICT_NEWEST:
+                return this._evict(this._list.tail);
+            default:
+                return this._evict(this._list.head);
+        }
+    }
+
+    /**
+     * Applies the reject overflow policy. Rejects all items if they exceed the max capacity.
+     * @param items {*} The items about to be added.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
+     * @private
+     */
+    _reject(items) {
+        if (this.overflow === OVERFLOW.REJECT && this.size + items.length > this.capacity) {
+            items.forEach(item => this._notifyOverflow(item));
+            throw new ErrorCapacity("add", this.size, this.capacity);
+        }
+    }
+
+    /**
+     * Calls the overflow callback if set.
+     * @param item {*} The evicted or rejected item.
+     * @private
+     */
+    _notifyOverflow(item) {
+        this.onOverflow && this.onOverflow(item);
+    }
+
+    /**
+     * Restores this stack's settings from its JSON representation.
+     * @param json {Object} The parsed JSON representation.
+     * @return {Stack} This stack.
+     * @protected
+     */
+    _restore(json) {
+        this.capacity = isInitialized(json.capacity) ? json.capacity : Infinity;
+        isInitialized(json.overflow) && (this.overflow = json.overflow);
+        return this;
+    }
+
     /**
      * Creates a new, shallow-copied stack instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to stack.
@@ -138,6 +305,17 @@ class Stack {
         return new Stack(...arrayLike);
     }
 
+    /**
+     * Creates a new stack instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @return {Stack} A new stack instance.
+     * @throws {TypeError} If json does not represent a stack.
+     */
+    static fromJSON(json) {
+        const object = parseJSON(json, "Stack");
+        return new Stack(...object.items)._restore(object);
+    }
+
     /**
      * Creates a new stack instance from a variable number of arguments.
      * @param items {*} Elements used to create the stack.
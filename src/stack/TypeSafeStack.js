@@ -1,6 +1,8 @@
 import Stack from "./Stack";
 import TypeSafeLinkedList from "../linked-list/TypeSafeLinkedList";
-import {getArrayType, getType, isInitialized} from "../common/utils";
+import {
+    getArrayType, getType, getTypeName, isArrayOfType, isInitialized, parseJSON, typeFromJSON
+} from "../common/utils";
 import ErrorTypeSafe from "../error/ErrorTypeSafe";
 
 /**
@@ -11,7 +13,7 @@ import ErrorTypeSafe from "../error/ErrorTypeSafe";
 class TypeSafeStack extends Stack {
     /**
      * Sets this stack's list, type and items.
-     * @param type {string} Type to use for this stack.
+     * @param type {string|Function|TypeDescriptor} Type to use for this stack.
      * @param items {T} Items to add to this stack upon initialization
      * @template T
      */
@@ -27,13 +29,58 @@ class TypeSafeStack extends Stack {
 
     /**
      * Returns this stack type.
-     * @return {string}
-     * @type {string}
+     * @return {string|Function|TypeDescriptor}
+     * @type {string|Function|TypeDescriptor}
      */
     get type() {
         return this._list.type;
     }
 
+    /**
+     * Adds one or more elements to the end of the TypeSafeStack. Items are validated before any element is
+     * evicted, so an invalid add neither evicts elements nor calls onOverflow.
+     * @param items {T} The elements to add to the end of the TypeSafeStack.
+     * @return {number} The new size property of this TypeSafeStack.
+     * @throws {ErrorTypeSafe} If some items are not of type <T>.
+     * @throws {ErrorCapacity} If overflow policy is reject, and items exceed the max capacity.
+     * @override
+     */
+    push(...items) {
+        if (isArrayOfType(items, this.type)) {
+            return super.push(...items);
+        } else {
+            throw new ErrorTypeSafe("add", items, this.type);
+        }
+    }
+
+    /**
+     * Adds items to this stack without validation, for trusted items only (e.g. decoded binary data).
+     * @param items {T[]} Items of type <T>, in the order of its JSON representation.
+     * @return {TypeSafeStack<T>} This stack.
+     * @protected
+     */
+    _load(items) {
+        this._list._load(items);
+        return this;
+    }
+
+    /**
+     * @return {Array<string|symbol>} The names of the members exposed by a read-only view of this stack.
+     * @protected
+     * @override
+     */
+    _readonlyMembers() {
+        return super._readonlyMembers().concat("type");
+    }
+
+    /**
+     * @return {Object} JSON representation of this stack, including its type name.
+     * @override
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {class: "TypeSafeStack", type: getTypeName(this.type)});
+    }
+
     /**
      * Creates a new, shallow-copied TypeSafeStack instance from an array-like or iterable object.
      * @param arrayLike {*} An array-like or iterable object to convert to TypeSafeStack.
@@ -50,6 +97,21 @@ class TypeSafeStack extends Stack {
         }
     }
 
+    /**
+     * Creates a new TypeSafeStack instance from its JSON representation, as returned by toJSON.
+     * @param json {string|Object} A JSON string, or an already parsed representation.
+     * @param options {{types: Object}} types maps the names of constructor and descriptor types to the types
+     * themselves. Type strings from TYPE are resolved without it.
+     * @return {TypeSafeStack} A new TypeSafeStack instance.
+     * @throws {TypeError} If json does not represent a TypeSafeStack, or its type is unknown.
+     * @throws {ErrorTypeSafe} If some items are not of the type.
+     * @override
+     */
+    static fromJSON(json, options = {}) {
+        const object = parseJSON(json, "TypeSafeStack");
+        return new TypeSafeStack(typeFromJSON(object.type, options.types), ...object.items)._restore(object);
+    }
+
     /**
      * Creates a new TypeSafeStack instance from a variable number of arguments.
      * @param items {*} Elements used to create the TypeSafeStack.
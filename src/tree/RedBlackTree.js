@@ -0,0 +1,519 @@
+import RedBlackTreeNode from "./RedBlackTreeNode";
+import {COMPARE, inclusiveBounds} from "../common/utils";
+
+/**
+ * Implementation of a red-black tree, a self-balancing binary search tree of nodes ordered by their keys, with unique
+ * keys. Each node counts the nodes of its subtree, so order statistics (rank and select) are O(log n) as well.
+ * Provides search, insert and remove efficiency at O(log n). Used by the sorted collections, e.g. SortedSet and
+ * SortedMap.
+ * @extends {Object}
+ */
+class RedBlackTree {
+    /**
+     * Sets this tree's compare function.
+     * @param compareFunc {Function} Specifies a function that defines the order of keys. Keys which compare equal (0)
+     * are the same key. If omitted, keys are converted to strings, and ordered according to each character's Unicode
+     * code point value.
+     */
+    constructor(compareFunc = undefined) {
+        /**
+         * This tree compare function.
+         * @type {Function}
+         */
+        this.compare = compareFunc || COMPARE.DEFAULT;
+        /**
+         * The root node, null if this tree is empty.
+         * @type {RedBlackTreeNode|null}
+         */
+        this.root = null;
+        /**
+         * The number of nodes in this tree.
+         * @type {number}
+         * @private
+         */
+        this._size = 0;
+    }
+
+    /**
+     * Returns the number of nodes in this tree.
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node with the least key greater than or equal to key, null if none.
+     */
+    ceiling(key) {
+        return this._search(key, true, true);
+    }
+
+    /**
+     * Removes all nodes from this tree.
+     */
+    clear() {
+        this.root = null;
+        this._size = 0;
+    }
+
+    /**
+     * Counts the nodes whose keys are from fromKey to toKey, at O(log n).
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} inclusive includes the bounds themselves, default true. Pass
+     * [fromInclusive, toInclusive] to set each bound.
+     * @return {number} The number of nodes within the bounds.
+     */
+    countRange(fromKey, toKey, options = {}) {
+        const [fromInclusive, toInclusive] = inclusiveBounds(options.inclusive);
+        return Math.max(0, this._countBelow(toKey, toInclusive) - this._countBelow(fromKey, !fromInclusive));
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node of key, null if not found.
+     */
+    find(key) {
+        let node = this.root;
+        while (node) {
+            const order = this.compare(key, node.key);
+            if (order === 0) {
+                return node;
+            }
+            node = order < 0 ? node.left : node.right;
+        }
+        return null;
+    }
+
+    /**
+     * @return {RedBlackTreeNode|null} The node with the least key, null if this tree is empty.
+     */
+    first() {
+        return this.root && RedBlackTree._min(this.root);
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node with the greatest key less than or equal to key, null if none.
+     */
+    floor(key) {
+        return this._search(key, false, true);
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node with the least key strictly greater than key, null if none.
+     */
+    higher(key) {
+        return this._search(key, true, false);
+    }
+
+    /**
+     * Inserts a key and its value. If the key is already in this tree, sets its value instead.
+     * @param key {*} The key of the node.
+     * @param value {*} The value of the node.
+     * @return {boolean} True if a node was added, false if an existing node's value was set.
+     */
+    insert(key, value) {
+        let parent = null;
+        let node = this.root;
+        let order = 0;
+        while (node) {
+            order = this.compare(key, node.key);
+            if (order === 0) {
+                node.value = value;
+                return false;
+            }
+            parent = node;
+            node = order < 0 ? node.left : node.right;
+        }
+        const added = new RedBlackTreeNode(key, value);
+        added.parent = parent;
+        RedBlackTree._resize(parent, 1);
+        if (!parent) {
+            this.root = added;
+        } else if (order < 0) {
+            parent.left = added;
+        } else {
+            parent.right = added;
+        }
+        this._size++;
+        this._fixInsert(added);
+        return true;
+    }
+
+    /**
+     * @return {RedBlackTreeNode|null} The node with the greatest key, null if this tree is empty.
+     */
+    last() {
+        return this.root && RedBlackTree._max(this.root);
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node with the greatest key strictly less than key, null if none.
+     */
+    lower(key) {
+        return this._search(key, false, false);
+    }
+
+    /**
+     * @param node {RedBlackTreeNode} A node of this tree.
+     * @return {RedBlackTreeNode|null} The node with the next key in order, null if node is the last.
+     */
+    next(node) {
+        if (node.right) {
+            return RedBlackTree._min(node.right);
+        }
+        while (node.parent && node === node.parent.right) {
+            node = node.parent;
+        }
+        return node.parent;
+    }
+
+    /**
+     * @param node {RedBlackTreeNode} A node of this tree.
+     * @return {RedBlackTreeNode|null} The node with the previous key in order, null if node is the first.
+     */
+    prev(node) {
+        if (node.left) {
+            return RedBlackTree._max(node.left);
+        }
+        while (node.parent && node === node.parent.left) {
+            node = node.parent;
+        }
+        return node.parent;
+    }
+
+    /**
+     * @param key {*} The key to rank.
+     * @return {number} The number of keys strictly less than key, at O(log n).
+     */
+    rank(key) {
+        return this._countBelow(key, false);
+    }
+
+    /**
+     * Removes the node of a key.
+     * @param key {*} The key of the node to remove.
+     * @return {RedBlackTreeNode|null} The removed node, null if not found.
+     */
+    remove(key) {
+        const node = this.find(key);
+        return node && this.removeNode(node);
+    }
+
+    /**
+     * Removes a node of this tree. Other nodes stay in the tree, so a node's next and previous nodes found before the
+     * removal are still valid after it.
+     * @param node {RedBlackTreeNode} The node to remove.
+     * @return {RedBlackTreeNode} The removed node.
+     */
+    removeNode(node) {
+        let removedRed = node.red;
+        let child;
+        let parent;
+        if (!node.left || !node.right) {
+            child = node.left || node.right;
+            parent = node.parent;
+            RedBlackTree._resize(parent, -1);
+            this._transplant(node, child);
+        } else {
+            const successor = RedBlackTree._min(node.right);
+            removedRed = successor.red;
+            child = successor.right;
+            RedBlackTree._resize(successor.parent, -1);
+            if (successor.parent === node) {
+                parent = successor;
+            } else {
+                parent = successor.parent;
+                this._transplant(successor, successor.right);
+                successor.right = node.right;
+                successor.right.parent = successor;
+            }
+            this._transplant(node, successor);
+            successor.left = node.left;
+            successor.left.parent = successor;
+            successor.red = node.red;
+            successor.size = node.size;
+        }
+        this._size--;
+        removedRed || this._fixRemove(child, parent);
+        node.left = node.right = node.parent = null;
+        return node;
+    }
+
+    /**
+     * @param index {number} A zero-based index in sort order.
+     * @return {RedBlackTreeNode|null} The node at index, at O(log n), null if index is out of range.
+     */
+    select(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+            return null;
+        }
+        let node = this.root;
+        while (node) {
+            const left = RedBlackTree._sizeOf(node.left);
+            if (index < left) {
+                node = node.left;
+            } else if (index === left) {
+                return node;
+            } else {
+                index -= left + 1;
+                node = node.right;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Iterates the nodes whose keys are within bounds, in order.
+     * @param lower {{key: *, inclusive: boolean}|null} The lower bound, and whether a key equal to it is within
+     * bounds. null for no lower bound.
+     * @param upper {{key: *, inclusive: boolean}|null} The upper bound, and whether a key equal to it is within
+     * bounds. null for no upper bound.
+     * @param reverse {boolean} Iterates in reverse order if true.
+     * @return {Generator<RedBlackTreeNode>} A new Iterator object that contains the nodes within bounds. The current
+     * node may be removed while iterating.
+     */
+    * nodes(lower = null, upper = null, reverse = false) {
+        const [start, end] = reverse ? [upper, lower] : [lower, upper];
+        const after = reverse ? -1 : 1;
+        let node;
+        if (start) {
+            node = this._search(start.key, !reverse, start.inclusive);
+        } else {
+            node = reverse ? this.last() : this.first();
+        }
+        while (node) {
+            if (end) {
+                const order = this.compare(node.key, end.key) * after;
+                if (order > 0 || (order === 0 && !end.inclusive)) {
+                    return;
+                }
+            }
+            const next = reverse ? this.prev(node) : this.next(node);
+            yield node;
+            node = next;
+        }
+    }
+
+    /**
+     * Iterates the nodes whose keys are from fromKey to toKey, in order.
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[], reverse: boolean}} inclusive includes the bounds themselves,
+     * default true. Pass [fromInclusive, toInclusive] to set each bound. reverse iterates from toKey down to fromKey.
+     * @return {Generator<RedBlackTreeNode>} A new Iterator object that contains the nodes within the bounds.
+     */
+    range(fromKey, toKey, options = {}) {
+        const [fromInclusive, toInclusive] = inclusiveBounds(options.inclusive);
+        const lower = {key: fromKey, inclusive: fromInclusive};
+        const upper = {key: toKey, inclusive: toInclusive};
+        return this.nodes(lower, upper, Boolean(options.reverse));
+    }
+
+    /**
+     * @param key {*} The bound.
+     * @param inclusive {boolean} Counts the node of key itself if true.
+     * @return {number} The number of keys less than key, or less than or equal to key if inclusive.
+     * @private
+     */
+    _countBelow(key, inclusive) {
+        let count = 0;
+        let node = this.root;
+        while (node) {
+            const order = this.compare(key, node.key);
+            if (order < 0 || (order === 0 && !inclusive)) {
+                node = node.left;
+            } else {
+                count += RedBlackTree._sizeOf(node.left) + 1;
+                node = node.right;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Restores the red-black properties after inserting a red node.
+     * @param node {RedBlackTreeNode} The inserted node.
+     * @private
+     */
+    _fixInsert(node) {
+        while (node.parent && node.parent.red) {
+            const parent = node.parent;
+            const grandparent = parent.parent;
+            const left = parent === grandparent.left;
+            const uncle = left ? grandparent.right : grandparent.left;
+            if (uncle && uncle.red) {
+                parent.red = false;
+                uncle.red = false;
+                grandparent.red = true;
+                node = grandparent;
+            } else {
+                if (node === (left ? parent.right : parent.left)) {
+                    node = parent;
+                    this._rotate(node, left);
+                }
+                node.parent.red = false;
+                grandparent.red = true;
+                this._rotate(grandparent, !left);
+            }
+        }
+        this.root.red = false;
+    }
+
+    /**
+     * Restores the red-black properties after removing a black node.
+     * @param node {RedBlackTreeNode|null} The node which took the removed node's place, may be null.
+     * @param parent {RedBlackTreeNode|null} The parent of node.
+     * @private
+     */
+    _fixRemove(node, parent) {
+        const isRed = subject => subject !== null && subject.red;
+        while (node !== this.root && !isRed(node)) {
+            const left = node === parent.left;
+            let sibling = left ? parent.right : parent.left;
+            if (sibling.red) {
+                sibling.red = false;
+                parent.red = true;
+                this._rotate(parent, left);
+                sibling = left ? parent.right : parent.left;
+            }
+            if (!isRed(sibling.left) && !isRed(sibling.right)) {
+                sibling.red = true;
+                node = parent;
+                parent = node.parent;
+            } else {
+                if (!isRed(left ? sibling.right : sibling.left)) {
+                    (left ? sibling.left : sibling.right).red = false;
+                    sibling.red = true;
+                    this._rotate(sibling, !left);
+                    sibling = left ? parent.right : parent.left;
+                }
+                sibling.red = parent.red;
+                parent.red = false;
+                (left ? sibling.right : sibling.left).red = false;
+                this._rotate(parent, left);
+                node = this.root;
+                parent = null;
+            }
+        }
+        node && (node.red = false);
+    }
+
+    /**
+     * Rotates a node down, and its child up into its place.
+     * @param node {RedBlackTreeNode} The node to rotate.
+     * @param left {boolean} Rotates left, lifting the right child, if true. Rotates right otherwise.
+     * @private
+     */
+    _rotate(node, left) {
+        const child = left ? node.right : node.left;
+        const inner = left ? child.left : child.right;
+        if (left) {
+            node.right = inner;
+            child.left = node;
+        } else {
+            node.left = inner;
+            child.right = node;
+        }
+        inner && (inner.parent = node);
+        this._transplant(node, child);
+        node.parent = child;
+        child.size = node.size;
+        node.size = RedBlackTree._sizeOf(node.left) + RedBlackTree._sizeOf(node.right) + 1;
+    }
+
+    /**
+     * Finds the closest node to a key in one direction.
+     * @param key {*} The key to search for.
+     * @param greater {boolean} Searches for greater keys if true, less keys otherwise.
+     * @param inclusive {boolean} Returns the node of key itself, if found.
+     * @return {RedBlackTreeNode|null} The closest node, null if none.
+     * @private
+     */
+    _search(key, greater, inclusive) {
+        let node = this.root;
+        let closest = null;
+        while (node) {
+            const order = this.compare(key, node.key);
+            if (order === 0 && inclusive) {
+                return node;
+            } else if (greater ? order < 0 : order > 0) {
+                closest = node;
+                node = greater ? node.left : node.right;
+            } else {
+                node = greater ? node.right : node.left;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Replaces a node with another node (or null) in the node's parent.
+     * @param node {RedBlackTreeNode} The node to replace.
+     * @param replacement {RedBlackTreeNode|null} The node to put in its place.
+     * @private
+     */
+    _transplant(node, replacement) {
+        if (!node.parent) {
+            this.root = replacement;
+        } else if (node === node.parent.left) {
+            node.parent.left = replacement;
+        } else {
+            node.parent.right = replacement;
+        }
+        replacement && (replacement.parent = node.parent);
+    }
+
+    /**
+     * @param node {RedBlackTreeNode} The root of a subtree.
+     * @return {RedBlackTreeNode} The node with the greatest key in the subtree.
+     * @private
+     */
+    static _max(node) {
+        while (node.right) {
+            node = node.right;
+        }
+        return node;
+    }
+
+    /**
+     * @param node {RedBlackTreeNode} The root of a subtree.
+     * @return {RedBlackTreeNode} The node with the least key in the subtree.
+     * @private
+     */
+    static _min(node) {
+        while (node.left) {
+            node = node.left;
+        }
+        return node;
+    }
+
+    /**
+     * Adds to the subtree sizes of a node and its ancestors, after a node was added to or removed from its subtree.
+     * @param node {RedBlackTreeNode|null} The lowest node whose subtree changed.
+     * @param delta {number} The change in size.
+     * @private
+     */
+    static _resize(node, delta) {
+        for (; node; node = node.parent) {
+            node.size += delta;
+        }
+    }
+
+    /**
+     * @param node {RedBlackTreeNode|null} The root of a subtree, may be null.
+     * @return {number} The number of nodes in the subtree.
+     * @private
+     */
+    static _sizeOf(node) {
+        return node ? node.size : 0;
+    }
+}
+
+export default RedBlackTree;
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Represents a node in a red-black tree.
+ */
+class RedBlackTreeNode {
+    /**
+     * Creates a new red node and sets its key and value. Pointers are set to null.
+     * @param key {*} This node key, by which it is ordered.
+     * @param value {*} This node value.
+     */
+    constructor(key, value) {
+        /**
+         * This node key.
+         * @type {*}
+         */
+        this.key = key;
+        /**
+         * This node value.
+         * @type {*}
+         */
+        this.value = value;
+        /**
+         * This node color, red if true, black otherwise.
+         * @type {boolean}
+         */
+        this.red = true;
+        /**
+         * The number of nodes in this node's subtree, including itself.
+         * @type {number}
+         */
+        this.size = 1;
+        /**
+         * The left child, whose subtree holds the smaller keys.
+         * @type {RedBlackTreeNode|null}
+         */
+        this.left = null;
+        /**
+         * The right child, whose subtree holds the greater keys.
+         * @type {RedBlackTreeNode|null}
+         */
+        this.right = null;
+        /**
+         * The parent node, null for the root.
+         * @type {RedBlackTreeNode|null}
+         */
+        this.parent = null;
+    }
+}
+
+export default RedBlackTreeNode;
\ No newline at end of file
@@ -0,0 +1,335 @@
+import {inclusiveBounds} from "../common/utils";
+
+/**
+ * A live view of the nodes of a red-black tree whose keys are within bounds, without copying. Provides the query and
+ * update methods of RedBlackTree, limited to the bounds, and backed by the same tree, so changes through either are
+ * seen by both. Searches and order statistics stay O(log n). Used by the sorted collections' head, tail and sub
+ * views, e.g. SortedSet.headSet.
+ * @extends {Object}
+ */
+class RedBlackTreeRange {
+    /**
+     * Sets this range's tree and bounds. A range of another range views the same tree, within both ranges' bounds.
+     * @param tree {RedBlackTree|RedBlackTreeRange} The tree to view.
+     * @param lower {{key: *, inclusive: boolean}|null} The lower bound, and whether a key equal to it is within
+     * bounds. null for no lower bound.
+     * @param upper {{key: *, inclusive: boolean}|null} The upper bound, and whether a key equal to it is within
+     * bounds. null for no upper bound.
+     */
+    constructor(tree, lower = null, upper = null) {
+        const range = tree instanceof RedBlackTreeRange;
+        /**
+         * The viewed tree.
+         * @type {RedBlackTree}
+         * @private
+         */
+        this._tree = range ? tree._tree : tree;
+        /**
+         * The lower bound, null for none.
+         * @type {{key: *, inclusive: boolean}|null}
+         * @private
+         */
+        this._lower = range ? tree._lowerOf(lower) : lower;
+        /**
+         * The upper bound, null for none.
+         * @type {{key: *, inclusive: boolean}|null}
+         * @private
+         */
+        this._upper = range ? tree._upperOf(upper) : upper;
+    }
+
+    /**
+     * Returns the viewed tree's compare function.
+     * @return {Function}
+     * @type {Function}
+     */
+    get compare() {
+        return this._tree.compare;
+    }
+
+    /**
+     * Returns the number of nodes within bounds, at O(log n).
+     * @return {number}
+     * @type {number}
+     */
+    get size() {
+        return this._count(this._lower, this._upper);
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node within bounds with the least key greater than or equal to key, null if
+     * none.
+     */
+    ceiling(key) {
+        return this._isBelow(key) ? this.first() : this._within(this._tree.ceiling(key));
+    }
+
+    /**
+     * Removes the nodes within bounds from the viewed tree.
+     */
+    clear() {
+        for (const node of this.nodes()) {
+            this._tree.removeNode(node);
+        }
+    }
+
+    /**
+     * Counts the nodes within bounds whose keys are from fromKey to toKey, at O(log n).
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[]}} inclusive includes the bounds themselves, default true. Pass
+     * [fromInclusive, toInclusive] to set each bound.
+     * @return {number} The number of nodes within both bounds.
+     */
+    countRange(fromKey, toKey, options = {}) {
+        const [fromInclusive, toInclusive] = inclusiveBounds(options.inclusive);
+        return this._count(
+            this._lowerOf({key: fromKey, inclusive: fromInclusive}), this._upperOf({key: toKey, inclusive: toInclusive})
+        );
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node of key, null if not found or out of bounds.
+     */
+    find(key) {
+        return this.has(key) ? this._tree.find(key) : null;
+    }
+
+    /**
+     * @return {RedBlackTreeNode|null} The node within bounds with the least key, null if none.
+     */
+    first() {
+        const lower = this._lower;
+        if (!lower) {
+            return this._within(this._tree.first());
+        }
+        return this._within(lower.inclusive ? this._tree.ceiling(lower.key) : this._tree.higher(lower.key));
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node within bounds with the greatest key less than or equal to key, null if
+     * none.
+     */
+    floor(key) {
+        return this._isAbove(key) ? this.last() : this._within(this._tree.floor(key));
+    }
+
+    /**
+     * @param key {*} The key to test.
+     * @return {boolean} True if key is within bounds, false otherwise.
+     */
+    has(key) {
+        return !this._isBelow(key) && !this._isAbove(key);
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node within bounds with the least key strictly greater than key, null if
+     * none.
+     */
+    higher(key) {
+        return this._isBelow(key) ? this.first() : this._within(this._tree.higher(key));
+    }
+
+    /**
+     * Inserts a key and its value into the viewed tree. If the key is already in the tree, sets its value instead.
+     * @param key {*} The key of the node, within bounds.
+     * @param value {*} The value of the node.
+     * @return {boolean} True if a node was added, false if an existing node's value was set.
+     * @throws {TypeError} If key is out of bounds.
+     */
+    insert(key, value) {
+        if (!this.has(key)) {
+            throw new TypeError(`Invalid key: ${key}. Expected a key within the bounds of this view.`);
+        }
+        return this._tree.insert(key, value);
+    }
+
+    /**
+     * @return {RedBlackTreeNode|null} The node within bounds with the greatest key, null if none.
+     */
+    last() {
+        const upper = this._upper;
+        if (!upper) {
+            return this._within(this._tree.last());
+        }
+        return this._within(upper.inclusive ? this._tree.floor(upper.key) : this._tree.lower(upper.key));
+    }
+
+    /**
+     * @param key {*} The key to search for.
+     * @return {RedBlackTreeNode|null} The node within bounds with the greatest key strictly less than key, null if
+     * none.
+     */
+    lower(key) {
+        return this._isAbove(key) ? this.last() : this._within(this._tree.lower(key));
+    }
+
+    /**
+     * @param key {*} The key to rank.
+     * @return {number} The number of keys within bounds strictly less than key, at O(log n).
+     */
+    rank(key) {
+        return this._count(this._lower, this._upperOf({key, inclusive: false}));
+    }
+
+    /**
+     * Removes the node of a key from the viewed tree, if it is within bounds.
+     * @param key {*} The key of the node to remove.
+     * @return {RedBlackTreeNode|null} The removed node, null if not found or out of bounds.
+     */
+    remove(key) {
+        const node = this.find(key);
+        return node && this._tree.removeNode(node);
+    }
+
+    /**
+     * Removes a node within bounds from the viewed tree, see RedBlackTree.removeNode.
+     * @param node {RedBlackTreeNode} The node to remove.
+     * @return {RedBlackTreeNode} The removed node.
+     */
+    removeNode(node) {
+        return this._tree.removeNode(node);
+    }
+
+    /**
+     * @param index {number} A zero-based index in sort order, within bounds.
+     * @return {RedBlackTreeNode|null} The node at index, at O(log n), null if index is out of range.
+     */
+    select(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+            return null;
+        }
+        const lower = this._lower;
+        return this._tree.select((lower ? this._countBelow(lower.key, !lower.inclusive) : 0) + index);
+    }
+
+    /**
+     * Iterates the nodes whose keys are within both these bounds and the given bounds, in order.
+     * @param lower {{key: *, inclusive: boolean}|null} The lower bound, null for no other lower bound.
+     * @param upper {{key: *, inclusive: boolean}|null} The upper bound, null for no other upper bound.
+     * @param reverse {boolean} Iterates in reverse order if true.
+     * @return {Generator<RedBlackTreeNode>} A new Iterator object that contains the nodes within bounds. The current
+     * node may be removed while iterating.
+     */
+    nodes(lower = null, upper = null, reverse = false) {
+        return this._tree.nodes(this._lowerOf(lower), this._upperOf(upper), reverse);
+    }
+
+    /**
+     * Iterates the nodes within bounds whose keys are from fromKey to toKey, in order.
+     * @param fromKey {*} The lower bound.
+     * @param toKey {*} The upper bound.
+     * @param options {{inclusive: boolean|boolean[], reverse: boolean}} inclusive includes the bounds themselves,
+     * default true. Pass [fromInclusive, toInclusive] to set each bound. reverse iterates from toKey down to fromKey.
+     * @return {Generator<RedBlackTreeNode>} A new Iterator object that contains the nodes within the bounds.
+     */
+    range(fromKey, toKey, options = {}) {
+        const [fromInclusive, toInclusive] = inclusiveBounds(options.inclusive);
+        const lower = {key: fromKey, inclusive: fromInclusive};
+        const upper = {key: toKey, inclusive: toInclusive};
+        return this.nodes(lower, upper, Boolean(options.reverse));
+    }
+
+    /**
+     * Counts the nodes of the viewed tree within bounds, at O(log n).
+     * @param lower {{key: *, inclusive: boolean}|null} The lower bound, null for none.
+     * @param upper {{key: *, inclusive: boolean}|null} The upper bound, null for none.
+     * @return {number} The number of nodes within the bounds.
+     * @private
+     */
+    _count(lower, upper) {
+        const start = lower ? this._countBelow(lower.key, !lower.inclusive) : 0;
+        const end = upper ? this._countBelow(upper.key, upper.inclusive) : this._tree.size;
+        return Math.max(0, end - start);
+    }
+
+    /**
+     * @param key {*} The bound.
+     * @param inclusive {boolean} Counts the node of key itself if true.
+     * @return {number} The number of keys of the viewed tree less than key, or less than or equal to key if inclusive.
+     * @private
+     */
+    _countBelow(key, inclusive) {
+        return this._tree.rank(key) + (inclusive && this._tree.find(key) ? 1 : 0);
+    }
+
+    /**
+     * @param key {*} The key to test.
+     * @return {boolean} True if key is greater than the upper bound, or equal to it and the bound is exclusive.
+     * @private
+     */
+    _isAbove(key) {
+        return this._upper !== null && RedBlackTreeRange._isOutside(this.compare(key, this._upper.key), this._upper);
+    }
+
+    /**
+     * @param key {*} The key to test.
+     * @return {boolean} True if key is less than the lower bound, or equal to it and the bound is exclusive.
+     * @private
+     */
+    _isBelow(key) {
+        return this._lower !== null && RedBlackTreeRange._isOutside(this.compare(this._lower.key, key), this._lower);
+    }
+
+    /**
+     * @param bound {{key: *, inclusive: boolean}|null} A lower bound, null for none.
+     * @return {{key: *, inclusive: boolean}|null} The tighter of bound and this range's lower bound.
+     * @private
+     */
+    _lowerOf(bound) {
+        return RedBlackTreeRange._tighter(this._lower, bound, (other, own) => this.compare(other.key, own.key));
+    }
+
+    /**
+     * @param bound {{key: *, inclusive: boolean}|null} An upper bound, null for none.
+     * @return {{key: *, inclusive: boolean}|null} The tighter of bound and this range's upper bound.
+     * @private
+     */
+    _upperOf(bound) {
+        return RedBlackTreeRange._tighter(this._upper, bound, (other, own) => this.compare(own.key, other.key));
+    }
+
+    /**
+     * @param node {RedBlackTreeNode|null} A node of the viewed tree.
+     * @return {RedBlackTreeNode|null} node if it is within bounds, null otherwise.
+     * @private
+     */
+    _within(node) {
+        return node && this.has(node.key) ? node : null;
+    }
+
+    /**
+     * @param order {number} Positive if a key is past a bound, 0 if it equals the bound, negative otherwise.
+     * @param bound {{key: *, inclusive: boolean}} The bound.
+     * @return {boolean} True if the key is out of bounds.
+     * @private
+     */
+    static _isOutside(order, bound) {
+        return order > 0 || (order === 0 && !bound.inclusive);
+    }
+
+    /**
+     * @param bound {{key: *, inclusive: boolean}|null} A bound, null for none.
+     * @param other {{key: *, inclusive: boolean}|null} Another bound on the same side, null for none.
+     * @param order {Function} Receives other and bound, returns a positive number if other is tighter, a negative
+     * number if it is looser, 0 if their keys are equal.
+     * @return {{key: *, inclusive: boolean}|null} The tighter bound, which is exclusive if either bound is.
+     * @private
+     */
+    static _tighter(bound, other, order) {
+        if (!bound || !other) {
+            return bound || other;
+        }
+        const tighter = order(other, bound);
+        if (tighter === 0) {
+            return {key: bound.key, inclusive: bound.inclusive && other.inclusive};
+        }
+        return tighter > 0 ? other : bound;
+    }
+}
+
+export default RedBlackTreeRange;
\ No newline at end of file